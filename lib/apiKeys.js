@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fs = require('fs');
+
+const SCOPES = ['read', 'read-write'];
+
+function hashApiKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// Cada chave é { name, scope, hash } onde hash é o SHA-256 (hex) da chave: nem o
+// ambiente nem o arquivo guardam a chave em texto puro.
+// Ambiente: "nome:escopo:hash,nome:escopo:hash". Arquivo: lista JSON de { name, scope, hash }
+function parseApiKeyList(text) {
+  return String(text || '').split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+    const [name, scope, hash] = entry.split(':');
+    return { name, scope, hash };
+  });
+}
+
+function validateApiKey(entry) {
+  if (!entry || typeof entry.name !== 'string' || !entry.name) return 'name é obrigatório';
+  if (!SCOPES.includes(entry.scope)) return `scope deve ser ${SCOPES.join(' ou ')}`;
+  if (typeof entry.hash !== 'string' || !/^[0-9a-f]{64}$/i.test(entry.hash)) return 'hash deve ser o SHA-256 da chave em hexadecimal';
+  return null;
+}
+
+// Junta as chaves do ambiente e do arquivo; entradas inválidas são ignoradas com aviso
+function loadApiKeys({ envValue, file, logger }) {
+  const entries = parseApiKeyList(envValue);
+
+  if (file) {
+    try {
+      entries.push(...JSON.parse(fs.readFileSync(file, 'utf8')));
+    } catch (err) {
+      logger.error('Falha ao carregar arquivo de chaves da API', { file, error: err.message });
+    }
+  }
+
+  return entries.filter(entry => {
+    const error = validateApiKey(entry);
+    if (error) {
+      logger.warn('Chave da API ignorada', { name: entry && entry.name, reason: error });
+    }
+    return !error;
+  }).map(entry => ({ name: entry.name, scope: entry.scope, hash: Buffer.from(entry.hash.toLowerCase(), 'hex') }));
+}
+
+// Devolve a chave correspondente ({ name, scope }) ou null. Todas as chaves são
+// comparadas (timingSafeEqual) para o tempo não indicar qual delas quase bateu
+function createApiKeyAuth({ keys }) {
+  function authenticate(presented) {
+    if (typeof presented !== 'string' || !presented) return null;
+
+    const candidate = Buffer.from(hashApiKey(presented), 'hex');
+    let match = null;
+    keys.forEach(key => {
+      if (crypto.timingSafeEqual(candidate, key.hash) && !match) {
+        match = key;
+      }
+    });
+
+    return match ? { name: match.name, scope: match.scope } : null;
+  }
+
+  function allows(key, scope) {
+    return scope === 'read' || key.scope === 'read-write';
+  }
+
+  return {
+    authenticate,
+    allows,
+    get size() {
+      return keys.length;
+    }
+  };
+}
+
+module.exports = { hashApiKey, loadApiKeys, createApiKeyAuth };
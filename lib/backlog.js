@@ -0,0 +1,155 @@
+const crypto = require('crypto');
+
+const MAX_STORIES = 200;
+const MAX_KEY_LENGTH = 50;
+const MAX_TITLE_LENGTH = 200; // Mesmo limite da história no histórico
+const MAX_DESCRIPTION_LENGTH = 2000;
+const MAX_ESTIMATE_LENGTH = 20;
+
+// Fila de histórias da sala: o host monta a pauta e a rodada usa a história atual.
+// Cada história fica `pending` até ser finalizada numa rodada (`estimated`)
+function createBacklog() {
+  return { stories: [], currentId: null };
+}
+
+function optionalText(value, maxLength) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text ? text.slice(0, maxLength) : null;
+}
+
+// Valida uma história enviada pelo host (ou lida de um arquivo). Retorna { story, errors }
+function validateStory(input) {
+  const errors = [];
+  const body = input && typeof input === 'object' ? input : {};
+
+  const title = typeof body.title === 'string' ? body.title.trim() : '';
+  if (!title) {
+    errors.push('title é obrigatório');
+  } else if (title.length > MAX_TITLE_LENGTH) {
+    errors.push(`title deve ter no máximo ${MAX_TITLE_LENGTH} caracteres`);
+  }
+
+  if (errors.length > 0) {
+    return { story: null, errors };
+  }
+
+  return {
+    story: {
+      key: optionalText(body.key, MAX_KEY_LENGTH),
+      title,
+      description: optionalText(body.description, MAX_DESCRIPTION_LENGTH),
+      // Estimativa que a história já tinha (ex.: importada do Jira)
+      estimate: optionalText(body.estimate, MAX_ESTIMATE_LENGTH)
+    },
+    errors
+  };
+}
+
+function findIndex(backlog, id) {
+  return backlog.stories.findIndex(story => story.id === id);
+}
+
+// Próxima história pendente depois da posição `index` (ou a primeira pendente da fila)
+function nextPendingId(backlog, index) {
+  const after = backlog.stories.find((story, position) => position > index && story.status === 'pending');
+  const first = backlog.stories.find(story => story.status === 'pending');
+  return (after || first || { id: null }).id;
+}
+
+// Adiciona histórias já validadas ao fim da fila. Retorna as histórias criadas
+function addStories(backlog, stories, now = Date.now()) {
+  const added = stories.map(story => ({
+    id: crypto.randomUUID(),
+    ...story,
+    status: 'pending',
+    addedAt: now,
+    estimatedAt: null
+  }));
+
+  backlog.stories.push(...added);
+  if (!backlog.currentId) {
+    backlog.currentId = nextPendingId(backlog, -1);
+  }
+  return added;
+}
+
+// `ids` precisa ter exatamente as histórias da fila, na nova ordem
+function reorderStories(backlog, ids) {
+  if (!Array.isArray(ids) || ids.length !== backlog.stories.length || new Set(ids).size !== ids.length) {
+    return false;
+  }
+
+  const byId = new Map(backlog.stories.map(story => [story.id, story]));
+  if (!ids.every(id => byId.has(id))) return false;
+
+  backlog.stories = ids.map(id => byId.get(id));
+  return true;
+}
+
+function removeStory(backlog, id) {
+  const index = findIndex(backlog, id);
+  if (index === -1) return false;
+
+  backlog.stories.splice(index, 1);
+  if (backlog.currentId === id) {
+    backlog.currentId = nextPendingId(backlog, index - 1);
+  }
+  return true;
+}
+
+function setCurrentStory(backlog, id) {
+  if (findIndex(backlog, id) === -1) return false;
+
+  backlog.currentId = id;
+  return true;
+}
+
+// Marca a história como estimada e passa a atual para a próxima pendente
+function completeStory(backlog, id, estimate, now = Date.now()) {
+  const index = findIndex(backlog, id);
+  if (index === -1) return false;
+
+  const story = backlog.stories[index];
+  story.status = 'estimated';
+  story.estimate = estimate || story.estimate;
+  story.estimatedAt = now;
+
+  if (backlog.currentId === id) {
+    backlog.currentId = nextPendingId(backlog, index);
+  }
+  return true;
+}
+
+function getCurrentStory(backlog) {
+  return backlog.stories.find(story => story.id === backlog.currentId) || null;
+}
+
+function serializeStory(story) {
+  return {
+    ...story,
+    addedAt: new Date(story.addedAt).toISOString(),
+    estimatedAt: story.estimatedAt ? new Date(story.estimatedAt).toISOString() : null
+  };
+}
+
+function serializeBacklog(backlog) {
+  return {
+    currentId: backlog.currentId,
+    stories: backlog.stories.map(serializeStory)
+  };
+}
+
+module.exports = {
+  MAX_STORIES,
+  createBacklog,
+  validateStory,
+  addStories,
+  reorderStories,
+  removeStory,
+  setCurrentStory,
+  completeStory,
+  getCurrentStory,
+  serializeStory,
+  serializeBacklog
+};
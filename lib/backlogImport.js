@@ -0,0 +1,171 @@
+const { parseCsv } = require('./csv');
+
+const IMPORT_FORMATS = ['csv', 'jira', 'github'];
+
+// Cabeçalhos de CSV reconhecidos para cada campo (minúsculos, sem acentos). Cobre a
+// exportação CSV do Jira ("Issue key", "Summary", "Custom field (Story Points)"),
+// a do GitHub Projects e planilhas montadas à mão
+const CSV_HEADERS = {
+  key: ['key', 'issue key', 'chave', 'id', 'number', 'numero'],
+  title: ['title', 'summary', 'titulo', 'resumo', 'historia', 'story', 'name', 'nome'],
+  description: ['description', 'descricao', 'body', 'detalhes'],
+  estimate: ['estimate', 'estimativa', 'points', 'pontos', 'story points', 'story point estimate', 'sp']
+};
+
+// Campos do Jira que costumam guardar os story points (variam por instalação; o
+// `?estimateField=` da rota tem prioridade)
+const JIRA_ESTIMATE_FIELDS = ['customfield_10016', 'customfield_10026', 'customfield_10002', 'customfield_10004', 'storyPoints'];
+
+// Labels do GitHub com a estimativa: "estimate: 5", "points/3", "sp-8", "story points: 2"
+const GITHUB_ESTIMATE_LABEL = /^(?:estimate|estimativa|points?|pontos|sp|story ?points?)\s*[:/=\-]?\s*(\S+)$/i;
+
+function normalizeHeader(header) {
+  const text = String(header).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+  // "Custom field (Story Points)" -> "story points"
+  const customField = text.match(/^custom field \((.+)\)$/);
+  return customField ? customField[1] : text;
+}
+
+// Texto do campo `description` do Jira: string (API v2) ou documento ADF (API v3)
+function jiraText(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object') return String(value);
+
+  const parts = [];
+  (function walk(node) {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'text' && typeof node.text === 'string') parts.push(node.text);
+    if (node.type === 'hardBreak') parts.push('\n');
+    if (Array.isArray(node.content)) {
+      node.content.forEach(walk);
+      if (node.type === 'paragraph' || node.type === 'heading') parts.push('\n');
+    }
+  })(value);
+  return parts.join('').trim();
+}
+
+function fromCsv(text) {
+  const [header, ...lines] = parseCsv(text);
+  if (!header) {
+    return { error: 'CSV vazio' };
+  }
+
+  const columns = {};
+  header.map(normalizeHeader).forEach((name, index) => {
+    Object.entries(CSV_HEADERS).forEach(([field, aliases]) => {
+      if (columns[field] === undefined && aliases.includes(name)) columns[field] = index;
+    });
+  });
+  if (columns.title === undefined) {
+    return { error: `Nenhuma coluna de título no CSV (use uma destas: ${CSV_HEADERS.title.join(', ')})` };
+  }
+
+  const rows = lines.map((fields, index) => {
+    const input = {};
+    Object.entries(columns).forEach(([field, column]) => {
+      // Planilhas exportadas pelo próprio Planin trazem `'` antes de texto que parece fórmula
+      input[field] = (fields[column] || '').replace(/^'(?=[=+\-@])/, '');
+    });
+    return { row: index + 1, input };
+  });
+
+  return { rows };
+}
+
+function fromJira(issues, { estimateField } = {}) {
+  const estimateFields = estimateField ? [estimateField] : JIRA_ESTIMATE_FIELDS;
+
+  return {
+    rows: issues.map((issue, index) => {
+      const fields = (issue && issue.fields) || {};
+      const estimate = estimateFields.map(name => fields[name]).find(value => value !== undefined && value !== null);
+
+      return {
+        row: index + 1,
+        input: {
+          key: issue && issue.key,
+          title: fields.summary,
+          description: jiraText(fields.description),
+          estimate
+        }
+      };
+    })
+  };
+}
+
+function fromGithub(issues) {
+  return {
+    rows: issues.map((issue, index) => {
+      const item = issue || {};
+      const validLabels = item.labels === undefined || item.labels === null || Array.isArray(item.labels);
+      const labels = (validLabels && item.labels ? item.labels : [])
+        .map(label => (typeof label === 'string' ? label : label && label.name));
+      const estimateLabel = labels.map(label => GITHUB_ESTIMATE_LABEL.exec(label || '')).find(Boolean);
+
+      return {
+        row: index + 1,
+        // A API de issues do GitHub também lista pull requests
+        skip: (item.pull_request && 'pull request ignorado') || (!validLabels && 'labels deve ser uma lista') || null,
+        input: {
+          key: item.number !== undefined ? `#${item.number}` : null,
+          title: item.title,
+          description: item.body,
+          estimate: estimateLabel ? estimateLabel[1] : null
+        }
+      };
+    })
+  };
+}
+
+// Lista de issues do JSON: o Jira exporta { issues: [...] }, a busca do GitHub
+// { items: [...] } e `gh issue list --json` uma lista direta
+function issueList(data) {
+  const list = Array.isArray(data) ? data : data && (data.issues || data.items);
+  return Array.isArray(list) ? list : null;
+}
+
+// Descobre o formato pelo conteúdo: issues do Jira têm `fields`, as do GitHub `number`
+function detectJsonFormat(list) {
+  const sample = list.find(item => item && typeof item === 'object') || {};
+  if (sample.fields) return 'jira';
+  if (sample.number !== undefined || sample.title !== undefined) return 'github';
+  return null;
+}
+
+// Lê o arquivo enviado para a fila de histórias. format: csv | jira | github (sem ele,
+// decide pelo Content-Type e pelo conteúdo). Devolve { format, rows: [{ row, input, skip }] }
+// ou { error }; cada input ainda precisa passar por validateStory
+function parseBacklogFile(buffer, { format, contentType, estimateField } = {}) {
+  if (format && !IMPORT_FORMATS.includes(format)) {
+    return { error: `format deve ser um de: ${IMPORT_FORMATS.join(', ')}` };
+  }
+
+  const text = buffer.toString('utf8');
+  const looksLikeJson = /^\s*[[{]/.test(text.replace(/^\ufeff/, ''));
+  const csv = format === 'csv' || (!format && (/csv/i.test(contentType || '') || !looksLikeJson));
+
+  if (csv) {
+    try {
+      return { format: 'csv', ...fromCsv(text) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text.replace(/^\ufeff/, ''));
+  } catch (err) {
+    return { error: 'JSON inválido' };
+  }
+
+  const list = issueList(data);
+  const detected = list && (format || detectJsonFormat(list));
+  if (!detected) {
+    return { error: 'Formato não reconhecido: envie um CSV ou a exportação JSON de issues do Jira ou do GitHub' };
+  }
+
+  return { format: detected, ...(detected === 'jira' ? fromJira(list, { estimateField }) : fromGithub(list)) };
+}
+
+module.exports = { parseBacklogFile, IMPORT_FORMATS };
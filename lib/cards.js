@@ -0,0 +1,17 @@
+// Baralho padrão do frontend (Fibonacci estendido com cartas especiais)
+const CARD_VALUES = ['0', '1', '2', '3', '5', '8', '13', '21', '34', '55', '89', 'XP', '?', '☕'];
+
+// Cartas numéricas escritas como fração em alguns baralhos
+const FRACTION_CARDS = { '½': 0.5, '¼': 0.25 };
+
+// Valor numérico da carta, ou null para cartas especiais ('?', '☕', 'XP', tamanhos
+// de camiseta) que não entram em médias e medianas
+function cardToNumber(value) {
+  const text = String(value).trim();
+  if (FRACTION_CARDS[text] !== undefined) return FRACTION_CARDS[text];
+  if (!/^\d+(\.\d+)?$/.test(text)) return null;
+
+  return Number(text);
+}
+
+module.exports = { CARD_VALUES, cardToNumber };
@@ -0,0 +1,42 @@
+const proxyaddr = require('proxy-addr');
+
+// Interpreta TRUST_PROXY no mesmo formato do `trust proxy` do Express:
+// 'true'/'false', número de proxies à frente do servidor, ou lista separada por
+// vírgulas de IPs, CIDRs e nomes ('loopback', 'linklocal', 'uniquelocal')
+function parseTrustProxy(value) {
+  const text = String(value).trim();
+
+  if (text === 'true') return true;
+  if (text === 'false') return false;
+  if (/^\d+$/.test(text)) return parseInt(text, 10);
+  return text.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function compileTrust(trust) {
+  if (trust === true) return () => true;
+  if (trust === false) return () => false;
+  // Número de saltos: confia nos N endereços mais próximos do servidor
+  if (typeof trust === 'number') return (address, index) => index < trust;
+  return proxyaddr.compile(trust);
+}
+
+// IPv4 mapeado em IPv6 ('::ffff:10.0.0.1') vira IPv4 para a mesma origem ter uma só chave
+function normalizeIp(ip) {
+  if (!ip) return 'desconhecido';
+  return ip.startsWith('::ffff:') && ip.includes('.') ? ip.slice(7) : ip;
+}
+
+// Resolve o IP do cliente percorrendo X-Forwarded-For da direita para a esquerda
+// e parando no primeiro endereço que não é de um proxy confiável. Funciona tanto
+// para requisições do Express quanto para as de upgrade do WebSocket
+function createClientIpResolver(trustProxy) {
+  const trust = compileTrust(parseTrustProxy(trustProxy));
+
+  function resolve(req) {
+    return normalizeIp(proxyaddr(req, trust));
+  }
+
+  return { trust, resolve };
+}
+
+module.exports = { createClientIpResolver };
@@ -0,0 +1,362 @@
+const crypto = require('crypto');
+const { snapshotRoom } = require('./rooms');
+const { roundKey } = require('./rounds');
+
+const HEARTBEAT_INTERVAL = 10 * 1000; // 10 segundos
+const INSTANCE_TIMEOUT = 30 * 1000; // Sem heartbeat por 30s, a instância é dada como morta
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Estado compartilhado entre instâncias do servidor. Cada instância mantém o registro de
+// salas e um diretório de peers (qual instância tem o socket de cada peer) em memória,
+// replicados pelo armazenamento: as alterações são gravadas nele e avisadas pelo canal
+// `events`, e quem inicia depois carrega o que já existe. Mensagens de sinalização para
+// peers de outra instância vão pelo canal `signal:<instância>` dela.
+//
+// Entradas, saídas e votos são replicados campo a campo (hashes `participants:<sala>` e
+// `votes:<sala>`), então alterações simultâneas em instâncias diferentes não se perdem.
+// O resto da sala (host, estado, rodada, fila) vai inteiro com uma versão { n, by }:
+// vale a de maior n e, no empate, a da instância de maior id, na mesma ordem em todas.
+//
+// Os peers de uma instância que caiu (sem heartbeat por `instanceTimeout`) ou encerrou
+// saem do diretório, e a instância viva de menor id avisa onPeersGone(peerIds) para
+// tirá-los das salas, uma vez só no cluster.
+function createCluster({
+  store,
+  instanceId,
+  rooms,
+  logger,
+  heartbeatInterval = HEARTBEAT_INTERVAL,
+  instanceTimeout = INSTANCE_TIMEOUT
+}) {
+  const peers = new Map(); // peerId -> { instanceId, tokenHash, connectedAt }
+  const instances = new Map(); // instanceId -> último heartbeat
+  const roomVersions = new Map(); // código -> versão da sala aplicada por último
+  let signalHandler = null;
+  let peersGoneHandler = null;
+  let heartbeatTimer = null;
+  let ready = false;
+
+  function report(action) {
+    return err => logger.error('Falha no armazenamento compartilhado', { action, error: err.message });
+  }
+
+  function publishEvent(event) {
+    return store.publish('events', JSON.stringify({ from: instanceId, ...event })).catch(report('publish'));
+  }
+
+  function isAlive(id) {
+    return id === instanceId || Date.now() - (instances.get(id) || 0) < instanceTimeout;
+  }
+
+  // Instância que limpa o que as instâncias mortas deixaram: a viva de menor id
+  function isCoordinator() {
+    return [...instances.keys()].every(id => id >= instanceId || !isAlive(id));
+  }
+
+  function isNewer(version, than) {
+    return version.n > than.n || (version.n === than.n && version.by > than.by);
+  }
+
+  function saveRoom(room, version) {
+    const value = JSON.stringify({ room: snapshotRoom(room), version });
+    store.hset('rooms', room.code, value).catch(report('hset'));
+  }
+
+  function applyRoom(snapshot, version) {
+    const known = roomVersions.get(snapshot.code);
+    if (known && !isNewer(version, known)) {
+      // Duas instâncias gravaram a mesma sala ao mesmo tempo e a versão daqui venceu:
+      // regrava, caso a outra tenha ficado por último no armazenamento
+      const room = rooms.getRoom(snapshot.code);
+      if (room && known.by === instanceId && version.by !== instanceId) {
+        saveRoom(room, known);
+      }
+      return;
+    }
+
+    roomVersions.set(snapshot.code, version);
+    rooms.restoreRoom(snapshot);
+  }
+
+  function forgetRoom(code) {
+    roomVersions.delete(code);
+    rooms.forgetRoom(code);
+  }
+
+  function dropInstance(id) {
+    instances.delete(id);
+    const gone = [];
+    peers.forEach((entry, peerId) => {
+      if (entry.instanceId === id) {
+        peers.delete(peerId);
+        gone.push(peerId);
+      }
+    });
+
+    if (!isCoordinator()) return;
+    Promise.all([
+      store.hdel('instances', id),
+      ...gone.map(peerId => store.hdel('peers', peerId))
+    ]).catch(report('hdel'));
+    if (gone.length > 0 && peersGoneHandler) {
+      peersGoneHandler(gone);
+    }
+  }
+
+  function handleEvent(raw) {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch (err) {
+      return logger.warn('Evento inválido no armazenamento compartilhado');
+    }
+    if (event.from === instanceId) return;
+
+    instances.set(event.from, Date.now());
+
+    switch (event.type) {
+      case 'peer':
+        peers.set(event.peerId, event.entry);
+        break;
+      case 'peer-gone':
+        if (peers.has(event.peerId) && peers.get(event.peerId).instanceId === event.from) {
+          peers.delete(event.peerId);
+        }
+        break;
+      case 'room':
+        applyRoom(event.room, event.version);
+        break;
+      case 'joined':
+        rooms.restoreParticipant(event.code, event.participant);
+        break;
+      case 'left':
+        if (rooms.forgetParticipant(event.code, event.peerId) && !rooms.getRoom(event.code)) {
+          roomVersions.delete(event.code);
+        }
+        break;
+      case 'vote':
+        rooms.restoreVote(event.code, event.round, event.vote);
+        break;
+      case 'room-closed':
+        forgetRoom(event.code);
+        break;
+      case 'instance-gone':
+        dropInstance(event.from);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function handleSignal(raw) {
+    let signal;
+    try {
+      signal = JSON.parse(raw);
+    } catch (err) {
+      return logger.warn('Mensagem de sinalização inválida recebida de outra instância');
+    }
+    if (signalHandler) {
+      signalHandler(signal.dst, signal.message);
+    }
+  }
+
+  // Publica cada alteração feita nesta instância
+  function handleRoomChange(room, change, detail) {
+    if (!ready) return;
+    const { code } = room;
+
+    switch (change) {
+      case 'joined':
+        store.hset(`participants:${code}`, detail.participant.peerId, JSON.stringify(detail.participant)).catch(report('hset'));
+        publishEvent({ type: 'joined', code, participant: detail.participant });
+        return;
+      case 'left':
+        store.hdel(`participants:${code}`, detail.peerId).catch(report('hdel'));
+        if (room.round.phase === 'voting') {
+          store.hdel(`votes:${code}`, detail.peerId).catch(report('hdel'));
+        }
+        publishEvent({ type: 'left', code, peerId: detail.peerId });
+        return;
+      case 'votes':
+        store.hset(`votes:${code}`, detail.vote.peerId, JSON.stringify({ round: roundKey(room.round), vote: detail.vote })).catch(report('hset'));
+        publishEvent({ type: 'vote', code, round: roundKey(room.round), vote: detail.vote });
+        return;
+      case 'closed':
+        roomVersions.delete(code);
+        Promise.all([
+          store.hdel('rooms', code),
+          store.del(`participants:${code}`),
+          store.del(`votes:${code}`)
+        ]).catch(report('del'));
+        publishEvent({ type: 'room-closed', code });
+        return;
+      default:
+        break;
+    }
+
+    const known = roomVersions.get(code);
+    const version = { n: known ? known.n + 1 : 1, by: instanceId };
+    roomVersions.set(code, version);
+    saveRoom(room, version);
+    publishEvent({ type: 'room', room: snapshotRoom(room), version });
+  }
+
+  // Sala gravada no armazenamento, com participantes e votos dos hashes de cada campo
+  async function loadRoom(value) {
+    const { room, version } = JSON.parse(value);
+    const [participants, votes] = await Promise.all([
+      store.hgetall(`participants:${room.code}`),
+      store.hgetall(`votes:${room.code}`)
+    ]);
+
+    room.participants = Object.values(participants || {}).map(entry => JSON.parse(entry));
+    if (room.round.phase === 'voting') {
+      room.round.votes = Object.values(votes || {})
+        .map(entry => JSON.parse(entry))
+        .filter(entry => entry.round === roundKey(room.round))
+        .map(entry => entry.vote);
+    }
+    if (room.participants.length > 0) {
+      applyRoom(room, version);
+    }
+  }
+
+  function heartbeat() {
+    store.hset('instances', instanceId, String(Date.now())).catch(report('hset'));
+    publishEvent({ type: 'heartbeat' });
+
+    // Peers de instâncias que pararam de responder saem do diretório (inclusive os
+    // gravados por uma instância que caiu quando não havia outra no ar)
+    const known = new Set([...instances.keys(), ...[...peers.values()].map(entry => entry.instanceId)]);
+    known.forEach(id => {
+      if (!isAlive(id)) {
+        logger.warn('Instância sem heartbeat, peers removidos do diretório', { instanceId: id });
+        dropInstance(id);
+      }
+    });
+  }
+
+  // Assina os canais e carrega o estado que já existe no armazenamento
+  async function start() {
+    await store.subscribe('events', handleEvent);
+    await store.subscribe(`signal:${instanceId}`, handleSignal);
+
+    const [storedInstances, storedPeers, storedRooms] = await Promise.all([
+      store.hgetall('instances'),
+      store.hgetall('peers'),
+      store.hgetall('rooms')
+    ]);
+
+    Object.entries(storedInstances || {}).forEach(([id, lastSeen]) => instances.set(id, Number(lastSeen)));
+    Object.entries(storedPeers || {}).forEach(([peerId, value]) => {
+      const entry = JSON.parse(value);
+      if (entry.instanceId !== instanceId) {
+        peers.set(peerId, entry);
+      }
+    });
+    await Promise.all(Object.values(storedRooms || {}).map(loadRoom));
+
+    // Já publica as saídas dos peers de instâncias mortas, removidos no primeiro heartbeat
+    ready = true;
+    heartbeat();
+    heartbeatTimer = setInterval(heartbeat, heartbeatInterval);
+    heartbeatTimer.unref();
+
+    logger.info('Instância registrada no armazenamento compartilhado', {
+      instanceId,
+      store: store.type,
+      rooms: rooms.size,
+      remotePeers: peers.size
+    });
+  }
+
+  // Remove os peers desta instância do diretório e avisa as demais (encerramento)
+  async function stop() {
+    clearInterval(heartbeatTimer);
+    ready = false;
+    const own = [...peers].filter(([, entry]) => entry.instanceId === instanceId).map(([peerId]) => peerId);
+
+    await Promise.all([
+      ...own.map(peerId => store.hdel('peers', peerId)),
+      store.hdel('instances', instanceId)
+    ]).catch(report('hdel'));
+    await publishEvent({ type: 'instance-gone' });
+  }
+
+  function peerConnected(peerId, { token, connectedAt }) {
+    const entry = { instanceId, tokenHash: hashToken(token), connectedAt };
+    peers.set(peerId, entry);
+    store.hset('peers', peerId, JSON.stringify(entry)).catch(report('hset'));
+    publishEvent({ type: 'peer', peerId, entry });
+  }
+
+  function peerDisconnected(peerId) {
+    const entry = peers.get(peerId);
+    if (!entry || entry.instanceId !== instanceId) return;
+
+    peers.delete(peerId);
+    store.hdel('peers', peerId).catch(report('hdel'));
+    publishEvent({ type: 'peer-gone', peerId });
+  }
+
+  // Entrada do diretório se o peer está conectado em outra instância viva
+  function remotePeer(peerId) {
+    const entry = peers.get(peerId);
+    return entry && entry.instanceId !== instanceId && isAlive(entry.instanceId) ? entry : null;
+  }
+
+  // Mesmo teste de signaling.isPeerOwner, para peers de outra instância
+  function isRemotePeerOwner(peerId, token) {
+    const entry = remotePeer(peerId);
+    if (!entry || typeof token !== 'string') return false;
+
+    return crypto.timingSafeEqual(Buffer.from(hashToken(token), 'hex'), Buffer.from(entry.tokenHash, 'hex'));
+  }
+
+  // Encaminha a mensagem para a instância que tem o socket do peer
+  function sendToRemotePeer(peerId, message) {
+    const entry = remotePeer(peerId);
+    if (!entry) return false;
+
+    store.publish(`signal:${entry.instanceId}`, JSON.stringify({ dst: peerId, message })).catch(report('publish'));
+    return true;
+  }
+
+  // handler(dst, message) entrega mensagens vindas de outras instâncias
+  function onSignal(handler) {
+    signalHandler = handler;
+  }
+
+  // handler(peerIds) tira das salas os peers de uma instância que saiu
+  function onPeersGone(handler) {
+    peersGoneHandler = handler;
+  }
+
+  rooms.onChange(handleRoomChange);
+
+  return {
+    start,
+    stop,
+    peerConnected,
+    peerDisconnected,
+    remotePeer,
+    isRemotePeerOwner,
+    sendToRemotePeer,
+    onSignal,
+    onPeersGone,
+    get ready() {
+      return ready;
+    },
+    get instanceId() {
+      return instanceId;
+    },
+    get instanceCount() {
+      return [...instances.keys()].filter(id => id !== instanceId && isAlive(id)).length + 1;
+    }
+  };
+}
+
+module.exports = { createCluster };
@@ -0,0 +1,51 @@
+// Limites de peers simultâneos por IP e por sala, além do concurrent_limit global
+// do PeerJS: impedem que um script descontrolado (ou um teste de carga) ocupe o
+// servidor inteiro. Guarda quantas conexões foram recusadas por motivo
+function createConnectionCaps({ maxPeersPerIp, maxPeersPerRoom }) {
+  const rejections = { ip: 0, room: 0 };
+
+  // peerIps: Map peerId -> IP dos peers conectados. Retorna o motivo da recusa ou null
+  function checkIp(peerId, ip, peerIps) {
+    let count = 0;
+    peerIps.forEach((peerIp, id) => {
+      if (peerIp === ip && id !== peerId) count++;
+    });
+
+    if (count < maxPeersPerIp) return null;
+
+    rejections.ip++;
+    return `Limite de ${maxPeersPerIp} peers simultâneos por IP atingido`;
+  }
+
+  function rejectRoom() {
+    rejections.room++;
+    return `Sala cheia: limite de ${maxPeersPerRoom} participantes atingido`;
+  }
+
+  // Entrada pela API (/join) ou oferta WebRTC de quem não está na sala
+  function checkRoom(room, peerId) {
+    if (room.participants.has(peerId) || room.participants.size < maxPeersPerRoom) return null;
+    return rejectRoom();
+  }
+
+  // Conexões abertas numa sala (ex.: relay), além dos participantes: connected são os
+  // peerIds já conectados, e quem reconecta não conta duas vezes
+  function checkRoomConnections(room, peerId, connected) {
+    const others = connected.filter(id => id !== peerId).length;
+    return others < maxPeersPerRoom ? checkRoom(room, peerId) : rejectRoom();
+  }
+
+  return {
+    checkIp,
+    checkRoom,
+    checkRoomConnections,
+    get limits() {
+      return { perIp: maxPeersPerIp, perRoom: maxPeersPerRoom };
+    },
+    get rejections() {
+      return { ...rejections };
+    }
+  };
+}
+
+module.exports = { createConnectionCaps };
@@ -0,0 +1,86 @@
+// Serialização CSV (RFC 4180) para exportar para planilhas e leitura para importar
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  // Evitar que planilhas interpretem o texto como fórmula
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// columns: [{ header, value: row => ... }]
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCsvValue(column.header)).join(',')];
+
+  rows.forEach(row => {
+    lines.push(columns.map(column => escapeCsvValue(column.value(row))).join(','));
+  });
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+// Lê um CSV (RFC 4180) e devolve as linhas como listas de campos. Aceita `,` ou `;`
+// como separador (o Excel em pt-BR exporta com `;`), decidido pela primeira linha.
+// Lança erro se uma aspa não for fechada
+function parseCsv(text) {
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+  const firstLine = input.slice(0, input.search(/\r?\n|$/));
+  const separator = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < input.length) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      if (char === '\r' && input[i + 1] === '\n') i++;
+    } else {
+      field += char;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error('Aspas não fechadas no CSV');
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Linhas em branco não contam
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+}
+
+module.exports = { toCsv, parseCsv };
@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { CARD_VALUES } = require('./cards');
+
+const DEFAULT_DECK_ID = 'fibonacci';
+const MIN_DECK_SIZE = 2;
+const MAX_DECK_SIZE = 30;
+const MAX_CARD_LENGTH = 8;
+const MAX_DECK_NAME_LENGTH = 40;
+const MAX_CUSTOM_DECKS = 50;
+
+const BUILT_IN_DECKS = [
+  { id: 'fibonacci', name: 'Fibonacci', values: CARD_VALUES },
+  {
+    id: 'modified-fibonacci',
+    name: 'Fibonacci modificado',
+    values: ['0', '½', '1', '2', '3', '5', '8', '13', '20', '40', '100', '?', '☕']
+  },
+  { id: 't-shirt', name: 'Tamanhos de camiseta', values: ['XS', 'S', 'M', 'L', 'XL', 'XXL', '?', '☕'] },
+  { id: 'powers-of-two', name: 'Potências de dois', values: ['0', '1', '2', '4', '8', '16', '32', '64', '?', '☕'] }
+];
+
+// Valida a lista de cartas de um baralho personalizado. Retorna { values, error }
+function validateDeckValues(input) {
+  if (!Array.isArray(input)) {
+    return { values: null, error: 'values deve ser uma lista de cartas' };
+  }
+
+  const values = input.map(value => String(value).trim());
+
+  if (values.length < MIN_DECK_SIZE || values.length > MAX_DECK_SIZE) {
+    return { values: null, error: `O baralho deve ter entre ${MIN_DECK_SIZE} e ${MAX_DECK_SIZE} cartas` };
+  }
+  if (values.some(value => !value || value.length > MAX_CARD_LENGTH)) {
+    return { values: null, error: `Cada carta deve ter entre 1 e ${MAX_CARD_LENGTH} caracteres` };
+  }
+  if (new Set(values).size !== values.length) {
+    return { values: null, error: 'O baralho não pode ter cartas repetidas' };
+  }
+
+  return { values, error: null };
+}
+
+// Baralhos disponíveis: os embutidos e os personalizados, que ficam gravados em disco
+function createDeckRegistry({ file, logger }) {
+  const customDecks = new Map(); // id -> baralho
+
+  try {
+    JSON.parse(fs.readFileSync(file, 'utf8')).forEach(deck => customDecks.set(deck.id, deck));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Falha ao carregar baralhos personalizados', { error: err.message });
+    }
+  }
+
+  async function persist() {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    await fs.promises.writeFile(tmpFile, JSON.stringify([...customDecks.values()], null, 2), 'utf8');
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  function listDecks() {
+    return [...BUILT_IN_DECKS, ...customDecks.values()];
+  }
+
+  function getDeck(id) {
+    return BUILT_IN_DECKS.find(deck => deck.id === id) || customDecks.get(id) || null;
+  }
+
+  // Cadastrado pela API de administração (routes/adminApi.js), até MAX_CUSTOM_DECKS
+  async function createDeck({ name, values }) {
+    const deck = {
+      id: `custom-${crypto.randomBytes(4).toString('hex')}`,
+      name: String(name || 'Baralho personalizado').trim().slice(0, MAX_DECK_NAME_LENGTH),
+      values,
+      custom: true,
+      createdAt: new Date().toISOString()
+    };
+
+    customDecks.set(deck.id, deck);
+    await persist();
+    return deck;
+  }
+
+  // Só baralhos personalizados podem ser removidos. Salas já criadas mantêm a cópia das cartas
+  async function deleteDeck(id) {
+    if (!customDecks.delete(id)) return false;
+
+    await persist();
+    return true;
+  }
+
+  // Resolve o baralho pedido na criação da sala: um id conhecido ou uma lista de cartas
+  function resolveRoomDeck(input) {
+    if (input === undefined || input === null) {
+      return { deck: getDeck(DEFAULT_DECK_ID), error: null };
+    }
+
+    if (typeof input === 'string') {
+      const deck = getDeck(input);
+      return deck ? { deck, error: null } : { deck: null, error: `Baralho desconhecido: ${input}` };
+    }
+
+    const { values, error } = validateDeckValues(input.values);
+    if (error) {
+      return { deck: null, error };
+    }
+
+    return {
+      deck: { id: 'room-custom', name: String(input.name || 'Baralho da sala').slice(0, MAX_DECK_NAME_LENGTH), values },
+      error: null
+    };
+  }
+
+  return {
+    listDecks,
+    getDeck,
+    createDeck,
+    deleteDeck,
+    resolveRoomDeck,
+    get customCount() {
+      return customDecks.size;
+    }
+  };
+}
+
+module.exports = { createDeckRegistry, validateDeckValues, DEFAULT_DECK_ID, MAX_CUSTOM_DECKS };
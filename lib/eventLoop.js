@@ -0,0 +1,30 @@
+const { monitorEventLoopDelay } = require('perf_hooks');
+
+const SAMPLE_WINDOW = 10 * 1000; // 10 segundos
+
+// Atraso do event loop medido pelo Node (perf_hooks). A cada janela guarda média,
+// p99 e máximo em milissegundos e zera o histograma, para refletir a carga recente
+function createEventLoopMonitor() {
+  const histogram = monitorEventLoopDelay({ resolution: 20 });
+  let snapshot = { meanMs: 0, p99Ms: 0, maxMs: 0 };
+
+  histogram.enable();
+
+  const sampleInterval = setInterval(() => {
+    snapshot = {
+      meanMs: histogram.mean / 1e6 || 0,
+      p99Ms: histogram.percentile(99) / 1e6,
+      maxMs: histogram.max / 1e6
+    };
+    histogram.reset();
+  }, SAMPLE_WINDOW);
+  sampleInterval.unref();
+
+  return {
+    current() {
+      return snapshot;
+    }
+  };
+}
+
+module.exports = { createEventLoopMonitor };
@@ -0,0 +1,82 @@
+const { summarizeVotes } = require('./stats');
+const { toCsv } = require('./csv');
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lê ?from=&to= (ISO ou AAAA-MM-DD). Datas sem horário incluem o dia inteiro em `to`
+function parseDateRange({ from, to }) {
+  const range = { from: null, to: null, error: null };
+
+  if (from) {
+    range.from = new Date(from).getTime();
+    if (Number.isNaN(range.from)) range.error = 'from inválido';
+  }
+  if (to) {
+    range.to = new Date(to).getTime() + (DATE_ONLY.test(to) ? DAY_MS - 1 : 0);
+    if (Number.isNaN(range.to)) range.error = 'to inválido';
+  }
+  if (!range.error && range.from !== null && range.to !== null && range.from > range.to) {
+    range.error = 'from deve ser anterior a to';
+  }
+
+  return range;
+}
+
+function isInRange(round, { from, to }) {
+  const finishedAt = new Date(round.finishedAt).getTime();
+  return (from === null || finishedAt >= from) && (to === null || finishedAt <= to);
+}
+
+function toExportRecord(round) {
+  return {
+    room: round.room,
+    sessionId: round.sessionId,
+    story: round.story,
+    startedAt: round.startedAt,
+    finishedAt: round.finishedAt,
+    votes: round.votes.map(vote => ({ name: vote.name, value: vote.value })),
+    ...summarizeVotes(round.votes),
+    // Rodadas gravadas antes das re-votações existirem não têm o campo
+    revotes: round.revotes || 0,
+    consensus: round.stats ? round.stats.consensus : null,
+    finalEstimate: round.finalEstimate
+  };
+}
+
+const CSV_COLUMNS = [
+  { header: 'room', value: record => record.room },
+  { header: 'session_id', value: record => record.sessionId },
+  { header: 'story', value: record => record.story },
+  { header: 'started_at', value: record => record.startedAt },
+  { header: 'finished_at', value: record => record.finishedAt },
+  { header: 'votes', value: record => record.votes.map(vote => `${vote.name}: ${vote.value}`).join('; ') },
+  { header: 'average', value: record => record.average },
+  { header: 'median', value: record => record.median },
+  { header: 'min', value: record => record.min },
+  { header: 'max', value: record => record.max },
+  {
+    header: 'non_numeric',
+    value: record => Object.entries(record.nonNumeric).map(([card, count]) => `${card} x${count}`).join('; ')
+  },
+  { header: 'consensus', value: record => record.consensus },
+  { header: 'revotes', value: record => record.revotes },
+  { header: 'final_estimate', value: record => record.finalEstimate }
+];
+
+// Envia as rodadas no formato pedido (?format=csv|json, padrão json)
+function sendExport(res, rounds, { format, filename }) {
+  const records = rounds.map(toExportRecord);
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+    // BOM para o Excel reconhecer UTF-8 (cartas como '☕')
+    return res.send('\ufeff' + toCsv(records, CSV_COLUMNS));
+  }
+
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.json"`);
+  res.json({ rounds: records });
+}
+
+module.exports = { parseDateRange, isInRange, sendExport };
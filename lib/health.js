@@ -0,0 +1,58 @@
+const WebSocket = require('ws');
+
+const PROBE_TIMEOUT = 2000; // 2 segundos
+
+// Abre um WebSocket no caminho da sinalização sem id/token: o PeerJS completa o
+// upgrade e responde ERROR ("Invalid WS parameters") sem registrar nenhum peer,
+// o que prova que ele está aceitando sockets
+function probePeerWebSocket({ port, path, timeoutMs = PROBE_TIMEOUT }) {
+  return new Promise(resolve => {
+    const ws = new WebSocket(`ws://127.0.0.1:${port}${path}?key=health-check`);
+    let settled = false;
+
+    function finish(result) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      ws.terminate();
+      resolve(result);
+    }
+
+    const timer = setTimeout(() => finish({ ok: false, reason: `Sem resposta da sinalização em ${timeoutMs}ms` }), timeoutMs);
+
+    ws.on('message', data => {
+      let message = null;
+      try {
+        message = JSON.parse(data);
+      } catch (err) {
+        // Resposta inesperada: tratada abaixo
+      }
+      finish(message && message.type === 'ERROR'
+        ? { ok: true }
+        : { ok: false, reason: 'Resposta inesperada da sinalização' });
+    });
+    ws.on('unexpected-response', (req, res) => finish({ ok: false, reason: `Upgrade recusado (HTTP ${res.statusCode})` }));
+    ws.on('error', err => finish({ ok: false, reason: `Falha ao conectar na sinalização: ${err.message}` }));
+  });
+}
+
+// Executa as verificações de prontidão. checks: { nome: async () => ({ ok, reason?, ...detalhes }) }
+async function runChecks(checks) {
+  const results = {};
+  const reasons = [];
+
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      results[name] = await check();
+    } catch (err) {
+      results[name] = { ok: false, reason: err.message };
+    }
+    if (!results[name].ok) {
+      reasons.push(`${name}: ${results[name].reason}`);
+    }
+  }
+
+  return { ok: reasons.length === 0, checks: results, reasons };
+}
+
+module.exports = { probePeerWebSocket, runChecks };
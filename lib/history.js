@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAX_STORY_LENGTH = 200;
+const MAX_ESTIMATE_LENGTH = 20;
+const MAX_VOTES_PER_ROUND = 100;
+
+function parseTimestamp(value, fallback) {
+  if (value === undefined || value === null) return fallback;
+
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Valida uma rodada enviada pelo host. Retorna { round, errors }
+function validateRound(input, { cardValues }) {
+  const errors = [];
+  const body = input || {};
+  const now = new Date().toISOString();
+
+  const story = typeof body.story === 'string' ? body.story.trim() : '';
+  if (!story) {
+    errors.push('story é obrigatório');
+  } else if (story.length > MAX_STORY_LENGTH) {
+    errors.push(`story deve ter no máximo ${MAX_STORY_LENGTH} caracteres`);
+  }
+
+  const votes = [];
+  if (!Array.isArray(body.votes) || body.votes.length === 0) {
+    errors.push('votes deve ser uma lista não vazia');
+  } else if (body.votes.length > MAX_VOTES_PER_ROUND) {
+    errors.push(`votes deve ter no máximo ${MAX_VOTES_PER_ROUND} itens`);
+  } else {
+    body.votes.forEach((vote, index) => {
+      const name = vote && typeof vote.name === 'string' ? vote.name.trim() : '';
+      const value = vote && vote.value !== undefined ? String(vote.value) : '';
+
+      if (!name) {
+        errors.push(`votes[${index}].name é obrigatório`);
+      } else if (!cardValues.includes(value)) {
+        errors.push(`votes[${index}].value "${value}" não pertence ao baralho`);
+      } else {
+        votes.push({
+          peerId: typeof vote.peerId === 'string' ? vote.peerId : null,
+          name,
+          value
+        });
+      }
+    });
+  }
+
+  let finalEstimate = null;
+  if (body.finalEstimate !== undefined && body.finalEstimate !== null) {
+    finalEstimate = String(body.finalEstimate).trim().slice(0, MAX_ESTIMATE_LENGTH);
+  }
+
+  // Quantas vezes a história foi votada de novo antes de finalizar
+  let revotes = 0;
+  if (body.revotes !== undefined && body.revotes !== null) {
+    if (!Number.isInteger(body.revotes) || body.revotes < 0) {
+      errors.push('revotes deve ser um inteiro não negativo');
+    } else {
+      revotes = body.revotes;
+    }
+  }
+
+  const startedAt = parseTimestamp(body.startedAt, now);
+  const finishedAt = parseTimestamp(body.finishedAt, now);
+  if (!startedAt) errors.push('startedAt inválido');
+  if (!finishedAt) errors.push('finishedAt inválido');
+
+  if (errors.length > 0) {
+    return { round: null, errors };
+  }
+
+  return {
+    round: { story, votes, finalEstimate, revotes, startedAt, finishedAt },
+    errors
+  };
+}
+
+// Rodada de sala com senha ou convite (gravadas antes do campo `access` eram abertas)
+function isProtectedRound(round) {
+  return Boolean(round.access) && round.access !== 'open';
+}
+
+// Agrupa as rodadas por sessão (sessionId da sala), da mais recente para a mais antiga
+function groupSessions(rounds) {
+  const sessions = new Map();
+
+  rounds.forEach(round => {
+    const session = sessions.get(round.sessionId) || {
+      sessionId: round.sessionId,
+      startedAt: round.startedAt,
+      endedAt: round.finishedAt,
+      rounds: 0
+    };
+
+    session.rounds++;
+    if (round.startedAt < session.startedAt) session.startedAt = round.startedAt;
+    if (round.finishedAt > session.endedAt) session.endedAt = round.finishedAt;
+    sessions.set(round.sessionId, session);
+  });
+
+  return [...sessions.values()].sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+}
+
+// Histórico de rodadas em arquivos JSON-lines, um arquivo por código de sala.
+// Cada linha é uma rodada finalizada, com o modo de acesso da sala (`access`).
+function createHistoryStore({ dir, logger }) {
+  const writeQueues = new Map(); // arquivo -> promessa da última escrita
+
+  function fileFor(code) {
+    return path.join(dir, `${code}.jsonl`);
+  }
+
+  async function recordRound({ code, sessionId, access, round }) {
+    const record = {
+      id: crypto.randomUUID(),
+      room: code,
+      sessionId,
+      access: access || 'open',
+      ...round,
+      recordedAt: new Date().toISOString()
+    };
+
+    // Escritas no mesmo arquivo são serializadas para não intercalar linhas
+    const file = fileFor(code);
+    const previous = writeQueues.get(file) || Promise.resolve();
+    const write = previous
+      .catch(() => {})
+      .then(async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.appendFile(file, JSON.stringify(record) + '\n', 'utf8');
+      });
+
+    writeQueues.set(file, write);
+    await write;
+    if (writeQueues.get(file) === write) {
+      writeQueues.delete(file);
+    }
+
+    return record;
+  }
+
+  async function listRounds(code, { sessionId } = {}) {
+    let content;
+    try {
+      content = await fs.promises.readFile(fileFor(code), 'utf8');
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+
+    const rounds = [];
+    content.split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try {
+        rounds.push(JSON.parse(line));
+      } catch (err) {
+        logger.warn('Linha inválida ignorada no histórico', { roomId: code });
+      }
+    });
+
+    return sessionId ? rounds.filter(round => round.sessionId === sessionId) : rounds;
+  }
+
+  async function listRoomCodes() {
+    try {
+      const files = await fs.promises.readdir(dir);
+      return files
+        .filter(file => file.endsWith('.jsonl'))
+        .map(file => path.basename(file, '.jsonl'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return [];
+      throw err;
+    }
+  }
+
+  return {
+    recordRound,
+    listRounds,
+    listRoomCodes
+  };
+}
+
+module.exports = { createHistoryStore, validateRound, isProtectedRound, groupSessions };
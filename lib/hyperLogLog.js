@@ -0,0 +1,59 @@
+const PRECISION = 12;
+const REGISTER_COUNT = 1 << PRECISION; // 4096 registradores, erro típico de ~1,6%
+const ALPHA = 0.7213 / (1 + 1.079 / REGISTER_COUNT);
+
+// Contagem aproximada de itens distintos (HyperLogLog) em tamanho fixo: guarda só
+// 4 KB de registradores, não os itens. `hash` é um hexadecimal com ao menos 64 bits
+// já espalhados (ex.: HMAC). `registers` vem de toString() para restaurar a contagem
+function createHyperLogLog(registers) {
+  const buckets = Buffer.alloc(REGISTER_COUNT);
+  if (registers) {
+    Buffer.from(registers, 'base64').copy(buckets, 0, 0, REGISTER_COUNT);
+  }
+
+  // Retorna true se o item mudou a contagem (quase sempre significa que é novo)
+  function add(hash) {
+    const bits = BigInt(`0x${String(hash).slice(0, 16)}`).toString(2).padStart(64, '0');
+    const index = parseInt(bits.slice(0, PRECISION), 2);
+    const rest = bits.slice(PRECISION);
+    const rank = rest.indexOf('1') + 1 || rest.length + 1;
+
+    if (rank <= buckets[index]) return false;
+    buckets[index] = rank;
+    return true;
+  }
+
+  function count() {
+    let sum = 0;
+    let zeros = 0;
+    buckets.forEach(rank => {
+      sum += 2 ** -rank;
+      if (rank === 0) zeros++;
+    });
+
+    const estimate = ALPHA * REGISTER_COUNT * REGISTER_COUNT / sum;
+    // Poucos itens: a contagem linear pelos registradores vazios é mais precisa
+    if (estimate <= 2.5 * REGISTER_COUNT && zeros > 0) {
+      return Math.round(REGISTER_COUNT * Math.log(REGISTER_COUNT / zeros));
+    }
+    return Math.round(estimate);
+  }
+
+  // Soma os itens de outro HyperLogLog (ou dos registradores de toString()): a
+  // contagem passa a ser a da união, como se os itens tivessem sido adicionados aqui
+  function merge(other) {
+    const registers = Buffer.from(other.toString(), 'base64');
+    for (let index = 0; index < REGISTER_COUNT; index++) {
+      buckets[index] = Math.max(buckets[index], registers[index] || 0);
+    }
+  }
+
+  return {
+    add,
+    count,
+    merge,
+    toString: () => buckets.toString('base64')
+  };
+}
+
+module.exports = { createHyperLogLog };
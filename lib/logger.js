@@ -0,0 +1,80 @@
+// Logger estruturado: uma linha JSON por evento, com nível, horário, componente e
+// os identificadores que ajudam a filtrar no agregador (requestId, peerId, roomId).
+// O nível é definido por componente: LOG_LEVEL vale para todos e LOG_LEVELS
+// sobrescreve alguns, ex.: LOG_LEVELS="http=warn,signaling=debug". Com o servidor
+// rodando, setLevel muda o nível de um componente (PATCH /api/admin/settings)
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const DEFAULT_LEVEL = 'info';
+
+function normalizeLevel(level, fallback) {
+  const name = String(level || '').trim().toLowerCase();
+  return LEVELS[name] ? name : fallback;
+}
+
+// "http=warn,signaling=debug" -> { http: 'warn', signaling: 'debug' }
+function parseComponentLevels(spec) {
+  const levels = {};
+  String(spec || '').split(',').forEach(entry => {
+    const [component, level] = entry.split('=').map(part => part && part.trim());
+    if (component && normalizeLevel(level, null)) {
+      levels[component] = normalizeLevel(level);
+    }
+  });
+  return levels;
+}
+
+// Erros viram objetos simples; o resto vai como está
+function serializeField(value) {
+  if (value instanceof Error) {
+    return { message: value.message, stack: value.stack };
+  }
+  return value;
+}
+
+// onEntry(entry) recebe cada linha escrita (ex.: para guardar os erros recentes)
+function createLogger({ level, levels = {}, output = process.stdout, errorOutput = process.stderr, onEntry } = {}) {
+  const defaultLevel = normalizeLevel(level, DEFAULT_LEVEL);
+  const componentLevels = { ...levels };
+
+  function levelOf(component) {
+    return componentLevels[component] || defaultLevel;
+  }
+
+  function write(component, levelName, msg, fields) {
+    if (LEVELS[levelName] < LEVELS[levelOf(component)]) return;
+
+    const entry = { timestamp: new Date().toISOString(), level: levelName, component, msg };
+    Object.entries(fields || {}).forEach(([key, value]) => {
+      if (value !== undefined) entry[key] = serializeField(value);
+    });
+
+    const stream = LEVELS[levelName] >= LEVELS.warn ? errorOutput : output;
+    stream.write(`${JSON.stringify(entry)}\n`);
+    if (onEntry) onEntry(entry);
+  }
+
+  function componentLogger(component) {
+    const log = {};
+    ['debug', 'info', 'warn', 'error'].forEach(levelName => {
+      log[levelName] = (msg, fields) => write(component, levelName, msg, fields);
+    });
+    return log;
+  }
+
+  return {
+    component: name => componentLogger(name),
+    // Vale até o próximo reinício
+    setLevel(component, levelName) {
+      const normalized = normalizeLevel(levelName, null);
+      if (!normalized) return false;
+      componentLevels[component] = normalized;
+      return true;
+    },
+    // Nível padrão e os definidos por componente
+    levels() {
+      return { default: defaultLevel, ...componentLevels };
+    }
+  };
+}
+
+module.exports = { createLogger, parseComponentLevels, LEVELS };
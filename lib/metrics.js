@@ -0,0 +1,126 @@
+// Registro de métricas no formato de texto do Prometheus (exposition format 0.0.4).
+// Contadores e gauges aceitam labels; `collect` permite ler o valor na hora do scrape
+// de quem já mantém o número (ex.: tamanho de um Map), sem duplicar o estado
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+// Chave estável para um conjunto de labels
+function labelKey(labels) {
+  return JSON.stringify(Object.keys(labels).sort().map(name => [name, String(labels[name])]));
+}
+
+function createMetricsRegistry({ prefix = '' } = {}) {
+  const metrics = [];
+
+  function register(type, name, help, collect) {
+    const metric = { type, name: `${prefix}${name}`, help, collect, series: new Map() };
+    metrics.push(metric);
+    return metric;
+  }
+
+  // Série com valor único por conjunto de labels
+  function series(metric, labels) {
+    const key = labelKey(labels);
+    if (!metric.series.has(key)) {
+      metric.series.set(key, { labels, value: 0 });
+    }
+    return metric.series.get(key);
+  }
+
+  function counter(name, help, { collect } = {}) {
+    const metric = register('counter', name, help, collect);
+    // Sem labels o contador aparece zerado desde o primeiro scrape, para o rate() não
+    // perder o primeiro incremento
+    if (!collect) series(metric, {});
+    return {
+      inc(labels = {}, amount = 1) {
+        series(metric, labels).value += amount;
+      }
+    };
+  }
+
+  function gauge(name, help, { collect } = {}) {
+    const metric = register('gauge', name, help, collect);
+    return {
+      set(labels, value) {
+        series(metric, labels).value = value;
+      }
+    };
+  }
+
+  function histogram(name, help, { buckets = DEFAULT_BUCKETS } = {}) {
+    const metric = register('histogram', name, help);
+    metric.buckets = buckets;
+    return {
+      observe(labels, value) {
+        const key = labelKey(labels);
+        if (!metric.series.has(key)) {
+          metric.series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+        }
+
+        const entry = metric.series.get(key);
+        buckets.forEach((bound, index) => {
+          if (value <= bound) entry.counts[index]++;
+        });
+        entry.sum += value;
+        entry.count++;
+      }
+    };
+  }
+
+  function renderHistogram(metric, lines) {
+    metric.series.forEach(({ labels, counts, sum, count }) => {
+      metric.buckets.forEach((bound, index) => {
+        lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${metric.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${metric.name}_count${formatLabels(labels)} ${count}`);
+    });
+  }
+
+  // Texto completo para o scrape
+  function render() {
+    const lines = [];
+
+    metrics.forEach(metric => {
+      lines.push(`# HELP ${metric.name} ${metric.help}`);
+      lines.push(`# TYPE ${metric.name} ${metric.type}`);
+
+      if (metric.type === 'histogram') {
+        return renderHistogram(metric, lines);
+      }
+
+      // collect devolve um número ou uma lista de { labels, value }
+      if (metric.collect) {
+        const collected = metric.collect();
+        const values = Array.isArray(collected) ? collected : [{ labels: {}, value: collected }];
+        values.forEach(({ labels, value }) => lines.push(`${metric.name}${formatLabels(labels)} ${value}`));
+        return;
+      }
+
+      metric.series.forEach(({ labels, value }) => lines.push(`${metric.name}${formatLabels(labels)} ${value}`));
+    });
+
+    return `${lines.join('\n')}\n`;
+  }
+
+  return {
+    counter,
+    gauge,
+    histogram,
+    render,
+    contentType: 'text/plain; version=0.0.4; charset=utf-8'
+  };
+}
+
+module.exports = { createMetricsRegistry };
@@ -0,0 +1,175 @@
+const SWEEP_INTERVAL = 60 * 1000; // 1 minuto
+const ROOM_PATH = /^\/rooms\/([^/]+)\/./;
+
+// Orçamentos padrão, ajustados no server.js por RATE_LIMIT_<NOME>_MAX e _WINDOW_MS
+const DEFAULT_BUDGETS = {
+  signaling: { max: 300, windowMs: 15 * 60 * 1000 },
+  status: { max: 60, windowMs: 60 * 1000 },
+  static: { max: 1000, windowMs: 15 * 60 * 1000 },
+  // Administração tem orçamento próprio, para conseguir liberar um IP bloqueado na API
+  admin: { max: 120, windowMs: 60 * 1000 },
+  // Votos, rodadas, estado e fila de quem já está na sala, por participante
+  room: { max: 600, windowMs: 15 * 60 * 1000 },
+  api: { max: 200, windowMs: 60 * 60 * 1000 }
+};
+
+// Rate limiting com token bucket por cliente (IP) e por orçamento (grupo de rotas).
+// Cada orçamento tem `max` requisições por `windowMs`, repostas continuamente:
+// não há reset fixo, então uma rajada logo antes da virada não ganha o dobro.
+// budgets: { nome: { max, windowMs } }; classify(req) devolve o nome do orçamento e
+// identify(req, orçamento) de quem são as fichas (por padrão, o IP do cliente)
+function createRateLimiter({ budgets, classify, identify, getClientIp, logger }) {
+  const buckets = new Map(); // `${orçamento}:${cliente}` -> { tokens, updatedAt }
+  const rejections = {}; // orçamento -> requisições recusadas com 429
+
+  function refill(bucket, budget, now) {
+    const elapsed = now - bucket.updatedAt;
+    bucket.tokens = Math.min(budget.max, bucket.tokens + elapsed * budget.max / budget.windowMs);
+    bucket.updatedAt = now;
+  }
+
+  // Tempo (segundos) para o balde acumular `tokens` fichas a partir do estado atual
+  function secondsUntil(bucket, budget, tokens) {
+    return Math.max(0, Math.ceil((tokens - bucket.tokens) * budget.windowMs / budget.max / 1000));
+  }
+
+  function consume(budgetName, ip) {
+    const budget = budgets[budgetName];
+    const key = `${budgetName}:${ip}`;
+    const now = Date.now();
+    const bucket = buckets.get(key) || { tokens: budget.max, updatedAt: now };
+
+    refill(bucket, budget, now);
+    buckets.set(key, bucket);
+
+    const allowed = bucket.tokens >= 1;
+    if (allowed) {
+      bucket.tokens -= 1;
+    }
+
+    return {
+      allowed,
+      limit: budget.max,
+      remaining: Math.floor(bucket.tokens),
+      reset: secondsUntil(bucket, budget, budget.max),
+      retryAfter: allowed ? 0 : secondsUntil(bucket, budget, 1),
+      windowSeconds: Math.ceil(budget.windowMs / 1000)
+    };
+  }
+
+  function middleware(req, res, next) {
+    const budgetName = classify(req);
+    const ip = getClientIp(req);
+    const client = identify ? identify(req, budgetName) : ip;
+    const result = consume(budgetName, client);
+
+    // Cabeçalhos do draft IETF "RateLimit header fields for HTTP"
+    res.setHeader('RateLimit-Policy', `${result.limit};w=${result.windowSeconds}`);
+    res.setHeader('RateLimit-Limit', String(result.limit));
+    res.setHeader('RateLimit-Remaining', String(result.remaining));
+    res.setHeader('RateLimit-Reset', String(result.reset));
+
+    if (!result.allowed) {
+      rejections[budgetName] = (rejections[budgetName] || 0) + 1;
+      logger.warn('Requisição recusada pelo rate limit', {
+        requestId: req.id,
+        ip,
+        client: client === ip ? undefined : client,
+        budget: budgetName,
+        path: req.path,
+        retryAfter: result.retryAfter
+      });
+      res.setHeader('Retry-After', String(result.retryAfter));
+      return res.status(429).json({
+        error: 'Muitas requisições. Tente novamente mais tarde.'
+      });
+    }
+
+    next();
+  }
+
+  // Clientes sem fichas no momento, por orçamento (no orçamento `room`, `ip` é o
+  // participante, `<sala>:<peerId>`)
+  function listLimited() {
+    const now = Date.now();
+    const limited = [];
+
+    buckets.forEach((bucket, key) => {
+      const separator = key.indexOf(':');
+      const budgetName = key.slice(0, separator);
+      const budget = budgets[budgetName];
+
+      refill(bucket, budget, now);
+      if (bucket.tokens < 1) {
+        limited.push({
+          ip: key.slice(separator + 1),
+          budget: budgetName,
+          retryAfter: secondsUntil(bucket, budget, 1)
+        });
+      }
+    });
+
+    return limited;
+  }
+
+  // Zera os contadores de um IP (ou participante) em todos os orçamentos
+  function reset(ip) {
+    let removed = 0;
+    Object.keys(budgets).forEach(budgetName => {
+      if (buckets.delete(`${budgetName}:${ip}`)) removed++;
+    });
+    return removed > 0;
+  }
+
+  // Baldes que já estariam cheios não precisam ficar em memória
+  const sweepInterval = setInterval(() => {
+    const now = Date.now();
+    buckets.forEach((bucket, key) => {
+      const budget = budgets[key.slice(0, key.indexOf(':'))];
+      refill(bucket, budget, now);
+      if (bucket.tokens >= budget.max) {
+        buckets.delete(key);
+      }
+    });
+  }, SWEEP_INTERVAL);
+  sweepInterval.unref();
+
+  return {
+    middleware,
+    listLimited,
+    reset,
+    budgets,
+    get rejections() {
+      return { ...rejections };
+    }
+  };
+}
+
+// Orçamento de cada requisição pelo caminho. Dentro de uma sala (/rooms/:code/... com o
+// X-Room-Token de um participante) as fichas são do participante e não do IP: um time
+// atrás do mesmo NAT votando pela API não esgota o orçamento `api` de todos.
+// getRoomMember(code, token) devolve `<sala>:<peerId>` ou null se o token não vale
+function createRequestClassifier({ getRoomMember, getClientIp }) {
+  function roomMember(req) {
+    const match = ROOM_PATH.exec(req.path);
+    const token = req.get('X-Room-Token');
+    return match && token ? getRoomMember(match[1], token) : null;
+  }
+
+  function classify(req) {
+    if (req.path.startsWith('/peerjs')) return 'signaling';
+    if (req.path === '/status' || req.path === '/metrics' || req.path.startsWith('/health/')) return 'status';
+    if (req.path.startsWith('/admin') || req.path.startsWith('/api/admin')) return 'admin';
+    if ((req.method === 'GET' || req.method === 'HEAD') && /\.[a-z0-9]+$/i.test(req.path)) return 'static';
+    if (roomMember(req)) return 'room';
+    return 'api';
+  }
+
+  function identify(req, budgetName) {
+    return (budgetName === 'room' && roomMember(req)) || getClientIp(req);
+  }
+
+  return { classify, identify };
+}
+
+module.exports = { createRateLimiter, createRequestClassifier, DEFAULT_BUDGETS };
@@ -0,0 +1,200 @@
+const url = require('url');
+const WebSocket = require('ws');
+const { rejectUpgrade } = require('./upgrades');
+
+const RELAY_PATH = '/relay';
+const RELAY_MAX_PAYLOAD = 10 * 1024; // Mesmo limite do corpo das requisições HTTP
+const RELAY_PING_INTERVAL = 30000; // Mantém a conexão viva atrás do proxy do Render
+
+// Mensagens da aplicação que podem passar pelo relay (mesmo formato do DataConnection)
+const RELAY_MESSAGE_TYPES = ['vote', 'user_joined', 'user_list'];
+
+// Relay de mensagens da sala por WebSocket, para peers que não conseguem WebRTC
+// (redes que bloqueiam UDP). O envelope segue o da sinalização do PeerJS:
+// o cliente envia { type: 'DATA', dst?, payload } e recebe { type: 'DATA', src, payload },
+// onde payload é exatamente a mensagem que iria pelo DataConnection.
+// Os sockets ficam só nesta instância: com várias, o relay liga apenas peers da mesma.
+// checkRoomCapacity(room, peerId, relayPeers) devolve o motivo da recusa ou null
+function createRelay({ rooms, roomTokens, checkRoomCapacity, logger }) {
+  const wss = new WebSocket.Server({ noServer: true, maxPayload: RELAY_MAX_PAYLOAD });
+  const sockets = new Map(); // peerId -> { ws, code }
+
+  function send(ws, message) {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify(message));
+    }
+  }
+
+  function relayPeersOf(code) {
+    const peers = [];
+    sockets.forEach((entry, peerId) => {
+      if (entry.code === code) peers.push(peerId);
+    });
+    return peers;
+  }
+
+  function broadcast(code, message, exclude) {
+    sockets.forEach((entry, peerId) => {
+      if (entry.code === code && peerId !== exclude) {
+        send(entry.ws, message);
+      }
+    });
+  }
+
+  function handles(req) {
+    return url.parse(req.url).pathname === RELAY_PATH;
+  }
+
+  // Só participantes de uma sala existente podem abrir o relay; o peer é identificado
+  // pelo token de membro (?token=), já que o navegador não envia headers no WebSocket
+  function handleUpgrade(req, socket, head) {
+    const { room: code, token } = url.parse(req.url, true).query;
+    const room = rooms.getRoom(code);
+
+    if (!room) {
+      return rejectUpgrade(socket, 404);
+    }
+
+    const peerId = roomTokens.verifyMemberToken(token, room);
+    if (!peerId || !room.participants.has(peerId)) {
+      return rejectUpgrade(socket, 403);
+    }
+
+    const rejection = checkRoomCapacity(room, peerId, relayPeersOf(room.code));
+    if (rejection) {
+      logger.warn('Conexão ao relay recusada pelo limite da sala', { peerId, roomId: room.code, reason: rejection });
+      return rejectUpgrade(socket, 503, rejection);
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => onConnection(ws, room.code, peerId));
+  }
+
+  function onConnection(ws, code, peerId) {
+    const previous = sockets.get(peerId);
+    if (previous) {
+      previous.ws.close(4000, 'Substituído por nova conexão');
+    }
+
+    sockets.set(peerId, { ws, code });
+    ws.isAlive = true;
+    logger.info('Peer conectado ao relay', { peerId, roomId: code });
+
+    send(ws, { type: 'OPEN', peers: relayPeersOf(code).filter(id => id !== peerId) });
+    broadcast(code, { type: 'PEER-OPEN', src: peerId }, peerId);
+
+    ws.on('pong', () => {
+      ws.isAlive = true;
+    });
+
+    ws.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (err) {
+        return send(ws, { type: 'ERROR', payload: { msg: 'Mensagem inválida' } });
+      }
+
+      handleMessage(ws, code, peerId, message);
+    });
+
+    ws.on('close', () => {
+      if (sockets.get(peerId) && sockets.get(peerId).ws === ws) {
+        sockets.delete(peerId);
+        broadcast(code, { type: 'PEER-CLOSE', src: peerId });
+        logger.info('Peer saiu do relay', { peerId, roomId: code });
+      }
+    });
+
+    ws.on('error', err => {
+      logger.warn('Erro no socket do relay', { peerId, roomId: code, error: err.message });
+    });
+  }
+
+  function handleMessage(ws, code, peerId, message) {
+    const { type, dst, payload } = message || {};
+
+    if (type !== 'DATA' || !payload || !RELAY_MESSAGE_TYPES.includes(payload.type)) {
+      return send(ws, { type: 'ERROR', payload: { msg: 'Tipo de mensagem não suportado' } });
+    }
+
+    // Votos com carta fora do baralho da sala não são repassados; em salas com votos
+    // ocultos, nenhum voto passa pelo relay (o valor só sai do servidor na revelação)
+    if (payload.type === 'vote') {
+      const room = rooms.getRoom(code);
+      if (room && room.hiddenVotes) {
+        return send(ws, { type: 'ERROR', payload: { msg: 'Nesta sala os votos são enviados pela API (POST /rooms/:code/votes)' } });
+      }
+      if (room && !room.deck.values.includes(String(payload.vote))) {
+        return send(ws, { type: 'ERROR', payload: { msg: `Carta "${payload.vote}" não pertence ao baralho da sala` } });
+      }
+    }
+
+    const outgoing = { type: 'DATA', src: peerId, payload };
+
+    // Sem destino: vai para todos os outros peers da sala no relay
+    if (!dst) {
+      return broadcast(code, outgoing, peerId);
+    }
+
+    const target = sockets.get(dst);
+    if (!target || target.code !== code) {
+      return send(ws, { type: 'ERROR', payload: { msg: `Peer ${dst} não está no relay da sala` } });
+    }
+
+    send(target.ws, outgoing);
+  }
+
+  function disconnectPeer(peerId) {
+    const entry = sockets.get(peerId);
+    if (entry) {
+      entry.ws.close(4001, 'Saiu da sala');
+    }
+  }
+
+  function closeRoom(code) {
+    sockets.forEach(entry => {
+      if (entry.code === code) {
+        entry.ws.close(4002, 'Sala encerrada');
+      }
+    });
+  }
+
+  // Mensagem de controle para todos os peers do relay (ex.: reinício do servidor)
+  function broadcastAll(message) {
+    sockets.forEach(({ ws }) => send(ws, message));
+  }
+
+  function closeAll(code, reason) {
+    sockets.forEach(({ ws }) => ws.close(code, reason));
+  }
+
+  // Ping periódico para derrubar conexões mortas
+  function start() {
+    const pingInterval = setInterval(() => {
+      sockets.forEach(({ ws }) => {
+        if (!ws.isAlive) {
+          return ws.terminate();
+        }
+        ws.isAlive = false;
+        ws.ping();
+      });
+    }, RELAY_PING_INTERVAL);
+    pingInterval.unref();
+  }
+
+  return {
+    start,
+    handles,
+    handleUpgrade,
+    disconnectPeer,
+    closeRoom,
+    broadcastAll,
+    closeAll,
+    has: peerId => sockets.has(peerId),
+    get size() {
+      return sockets.size;
+    }
+  };
+}
+
+module.exports = { createRelay, RELAY_PATH, RELAY_MESSAGE_TYPES };
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const PASSWORD_KEY_LENGTH = 32;
+const MIN_PASSWORD_LENGTH = 4;
+const MAX_PASSWORD_LENGTH = 128;
+const DEFAULT_INVITE_TTL = 24 * 60 * 60; // 24 horas (segundos)
+const MAX_INVITE_TTL = 7 * 24 * 60 * 60; // 7 dias (segundos)
+
+function base64url(buffer) {
+  return Buffer.from(buffer).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64url(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `A senha deve ter pelo menos ${MIN_PASSWORD_LENGTH} caracteres`;
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    return `A senha deve ter no máximo ${MAX_PASSWORD_LENGTH} caracteres`;
+  }
+  return null;
+}
+
+// Hash no formato scrypt$<salt>$<hash> (a senha nunca fica em memória em texto puro)
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+  return `scrypt$${base64url(salt)}$${base64url(hash)}`;
+}
+
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || !stored) return false;
+
+  const [scheme, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt') return false;
+
+  const candidate = await scrypt(password, fromBase64url(salt), PASSWORD_KEY_LENGTH);
+  return safeEqual(candidate, fromBase64url(hash));
+}
+
+// Tokens assinados com HMAC no formato <dados>.<assinatura>, presos à sessão da sala
+// (deixam de valer quando a sala é encerrada):
+// - convite: permite entrar numa sala protegida até expirar
+// - membro: entregue em /create e /join, prova que o portador participa da sala
+function createRoomTokens({ secret }) {
+  function sign(data) {
+    return base64url(crypto.createHmac('sha256', secret).update(data).digest());
+  }
+
+  function encode(claims) {
+    const data = base64url(JSON.stringify(claims));
+    return `${data}.${sign(data)}`;
+  }
+
+  // Claims de um token válido do tipo `kind` (assinatura e prazo), de qualquer sessão
+  function readClaims(token, kind) {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [data, signature] = token.split('.');
+    if (!signature || !safeEqual(Buffer.from(signature), Buffer.from(sign(data)))) return null;
+
+    try {
+      const claims = JSON.parse(fromBase64url(data).toString('utf8'));
+      const valid = claims.kind === kind && (claims.exp === undefined || claims.exp > Date.now());
+      return valid ? claims : null;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  function decode(token, room, kind) {
+    const claims = readClaims(token, kind);
+    return claims && claims.room === room.code && claims.session === room.sessionId ? claims : null;
+  }
+
+  function createInvite(room, ttlSeconds) {
+    const ttl = Math.min(Math.max(Number(ttlSeconds) || DEFAULT_INVITE_TTL, 60), MAX_INVITE_TTL);
+    const expiresAt = Date.now() + ttl * 1000;
+    const token = encode({ kind: 'invite', room: room.code, session: room.sessionId, exp: expiresAt });
+
+    return { token, expiresAt: new Date(expiresAt).toISOString() };
+  }
+
+  function verifyInvite(token, room) {
+    return decode(token, room, 'invite') !== null;
+  }
+
+  function createMemberToken(room, peerId) {
+    return encode({ kind: 'member', room: room.code, session: room.sessionId, peer: peerId });
+  }
+
+  // Retorna o peerId do portador, ou null se o token não for desta sala
+  function verifyMemberToken(token, room) {
+    const claims = decode(token, room, 'member');
+    return claims ? claims.peer : null;
+  }
+
+  // Sessão da sala `code` em que o portador participou, inclusive depois que ela foi
+  // encerrada: dá acesso ao histórico daquela sessão. Retorna o sessionId ou null
+  function memberTokenSession(token, code) {
+    const claims = readClaims(token, 'member');
+    return claims && claims.room === code ? claims.session : null;
+  }
+
+  return { createInvite, verifyInvite, createMemberToken, verifyMemberToken, memberTokenSession };
+}
+
+// Limite próprio para tentativas de acesso com senha/convite inválidos,
+// separado do rate limit geral: bloqueia a combinação IP + sala após várias falhas
+function createFailedAttemptLimiter({ maxAttempts, windowMs }) {
+  const attempts = new Map(); // chave -> { count, firstAt }
+
+  function current(key) {
+    const entry = attempts.get(key);
+    if (entry && Date.now() - entry.firstAt > windowMs) {
+      attempts.delete(key);
+      return null;
+    }
+    return entry || null;
+  }
+
+  // Segundos até poder tentar de novo, ou 0 se não estiver bloqueado
+  function retryAfter(key) {
+    const entry = current(key);
+    if (!entry || entry.count < maxAttempts) return 0;
+    return Math.ceil((entry.firstAt + windowMs - Date.now()) / 1000);
+  }
+
+  function recordFailure(key) {
+    const entry = current(key) || { count: 0, firstAt: Date.now() };
+    entry.count++;
+    attempts.set(key, entry);
+    return entry.count;
+  }
+
+  function reset(key) {
+    attempts.delete(key);
+  }
+
+  const sweepInterval = setInterval(() => {
+    attempts.forEach((entry, key) => current(key));
+  }, windowMs);
+  sweepInterval.unref();
+
+  return { retryAfter, recordFailure, reset };
+}
+
+module.exports = {
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  createRoomTokens,
+  createFailedAttemptLimiter
+};
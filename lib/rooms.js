@@ -0,0 +1,384 @@
+const crypto = require('crypto');
+const { createRound, canTransition, applyTransition, roundKey } = require('./rounds');
+const { createBacklog } = require('./backlog');
+const { analyzeVotes } = require('./stats');
+
+// Alfabeto sem caracteres ambíguos (0/O, 1/I) para facilitar a digitação do código
+const ROOM_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const ROOM_CODE_LENGTH = 6;
+const MAX_NAME_LENGTH = 40;
+
+function generateRoomCode() {
+  const bytes = crypto.randomBytes(ROOM_CODE_LENGTH);
+  let code = '';
+
+  for (let i = 0; i < ROOM_CODE_LENGTH; i++) {
+    code += ROOM_CODE_ALPHABET[bytes[i] % ROOM_CODE_ALPHABET.length];
+  }
+
+  return code;
+}
+
+function normalizeRoomCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function isValidRoomCode(code) {
+  return new RegExp(`^[${ROOM_CODE_ALPHABET}]{${ROOM_CODE_LENGTH}}$`).test(normalizeRoomCode(code));
+}
+
+function normalizeName(name, fallback) {
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  return (trimmed || fallback).slice(0, MAX_NAME_LENGTH);
+}
+
+// Registro de salas: cada sala tem um código curto, um host (ID PeerJS)
+// e os participantes que entraram por ela. Um peer participa de uma sala por vez.
+// Cada alteração é avisada aos ouvintes de onChange (usado para replicar entre instâncias)
+function createRoomRegistry() {
+  const rooms = new Map(); // código -> sala
+  const peerRooms = new Map(); // peerId -> código da sala
+  const changeListeners = [];
+
+  // change: created | joined | left | host | state | votes | round | backlog | closed
+  // detail: { participant } em joined, { peerId } em left, { vote } em votes
+  function emitChange(room, change, detail = {}) {
+    changeListeners.forEach(listener => listener(room, change, detail));
+  }
+
+  function participantName(room, peerId) {
+    return room.participants.has(peerId) ? room.participants.get(peerId).name : null;
+  }
+
+  function addParticipant(room, peerId, name) {
+    const previousCode = peerRooms.get(peerId);
+    if (previousCode && previousCode !== room.code) {
+      leaveRoom(previousCode, peerId);
+    }
+
+    if (!room.participants.has(peerId)) {
+      room.participants.set(peerId, {
+        peerId,
+        name: normalizeName(name, `User-${peerId.substring(0, 5)}`),
+        joinedAt: Date.now()
+      });
+    }
+
+    peerRooms.set(peerId, room.code);
+    emitChange(room, 'joined', { participant: room.participants.get(peerId) });
+    return room.participants.get(peerId);
+  }
+
+  function createRoom({ hostId, name, deck, access, hiddenVotes }) {
+    let code = generateRoomCode();
+    while (rooms.has(code)) {
+      code = generateRoomCode();
+    }
+
+    const room = {
+      code,
+      // Identifica esta sessão no histórico (o mesmo código pode ser sorteado de novo no futuro)
+      sessionId: crypto.randomUUID(),
+      hostId,
+      // Baralho escolhido pelo host; votos fora dele são rejeitados
+      deck: { id: deck.id, name: deck.name, values: [...deck.values] },
+      // open | password | invite (passwordHash só no modo password)
+      access: access || { mode: 'open', passwordHash: null },
+      createdAt: Date.now(),
+      participants: new Map(),
+      // Último estado conhecido, enviado pelo host para ser recuperado numa migração
+      state: null,
+      stateUpdatedAt: null,
+      // Com hiddenVotes os votos só passam pelo servidor (o relay recusa `vote`)
+      hiddenVotes: hiddenVotes === true,
+      // Rodada atual, com os votos guardados no servidor (veja lib/rounds.js)
+      round: createRound(),
+      // Fila de histórias montada pelo host (veja lib/backlog.js)
+      backlog: createBacklog()
+    };
+
+    rooms.set(code, room);
+    addParticipant(room, hostId, name);
+    emitChange(room, 'created');
+    return room;
+  }
+
+  function getRoom(code) {
+    return rooms.get(normalizeRoomCode(code)) || null;
+  }
+
+  function getRoomByPeer(peerId) {
+    const code = peerRooms.get(peerId);
+    return code ? rooms.get(code) || null : null;
+  }
+
+  function joinRoom(code, { peerId, name }) {
+    const room = getRoom(code);
+    if (!room) return null;
+
+    return addParticipant(room, peerId, name);
+  }
+
+  // Retorna false quando a sala ficou vazia e foi removida
+  function removeParticipant(room, peerId) {
+    room.participants.delete(peerId);
+    if (peerRooms.get(peerId) === room.code) {
+      peerRooms.delete(peerId);
+    }
+
+    if (room.participants.size === 0) {
+      removeRoom(room);
+      return false;
+    }
+
+    // Antes da revelação, o voto de quem saiu não conta
+    if (room.round.phase === 'voting') {
+      room.round.votes = room.round.votes.filter(vote => vote.peerId !== peerId);
+    }
+    return true;
+  }
+
+  // Sala que fica sem ninguém é encerrada
+  function leaveRoom(code, peerId) {
+    const room = getRoom(code);
+    if (!room || !room.participants.has(peerId)) return false;
+
+    if (removeParticipant(room, peerId)) {
+      emitChange(room, 'left', { peerId });
+    } else {
+      emitChange(room, 'closed');
+    }
+    return true;
+  }
+
+  function setHost(code, peerId) {
+    const room = getRoom(code);
+    if (!room || !room.participants.has(peerId)) return false;
+
+    room.hostId = peerId;
+    emitChange(room, 'host');
+    return true;
+  }
+
+  function setState(code, state) {
+    const room = getRoom(code);
+    if (!room) return false;
+
+    room.state = state;
+    room.stateUpdatedAt = Date.now();
+    emitChange(room, 'state');
+    return true;
+  }
+
+  // Registra ou troca o voto do participante. Retorna null fora da fase de votação
+  function castVote(code, peerId, value) {
+    const room = getRoom(code);
+    if (!room || !room.participants.has(peerId) || room.round.phase !== 'voting') return null;
+
+    const vote = { peerId, value, votedAt: Date.now() };
+    room.round.votes = room.round.votes.filter(existing => existing.peerId !== peerId).concat(vote);
+    emitChange(room, 'votes', { vote });
+    return vote;
+  }
+
+  // Avança a rodada (start | reveal | revote | finalize). Retorna a rodada ou null
+  // se a ação não vale na fase atual. Na revelação, calcula as estatísticas dos votos
+  function transitionRound(code, action, options = {}) {
+    const room = getRoom(code);
+    if (!room || !canTransition(room.round, action)) return null;
+
+    const stats = action === 'reveal'
+      ? analyzeVotes(room.round.votes.map(vote => ({ ...vote, name: participantName(room, vote.peerId) })), room.deck.values)
+      : null;
+    room.round = applyTransition(room.round, action, { ...options, stats });
+    emitChange(room, 'round');
+    return room.round;
+  }
+
+  // Altera a fila de histórias: update(backlog) devolve um valor falso quando nada mudou
+  function updateBacklog(code, update) {
+    const room = getRoom(code);
+    if (!room) return null;
+
+    const result = update(room.backlog);
+    if (result) {
+      emitChange(room, 'backlog');
+    }
+    return result;
+  }
+
+  function removeRoom(room) {
+    room.participants.forEach((participant, peerId) => {
+      if (peerRooms.get(peerId) === room.code) {
+        peerRooms.delete(peerId);
+      }
+    });
+    rooms.delete(room.code);
+  }
+
+  function closeRoom(code) {
+    const room = getRoom(code);
+    if (!room) return false;
+
+    removeRoom(room);
+    emitChange(room, 'closed');
+    return true;
+  }
+
+  // As funções abaixo aplicam alterações recebidas de outra instância, sem avisar os
+  // ouvintes (para não devolver a alteração para quem a enviou). Entradas, saídas e
+  // votos chegam um a um; o resto da sala chega inteiro em restoreRoom
+
+  // Numa sala que já existe aqui, mantém os participantes e, se a votação é a mesma,
+  // os votos locais: eles são replicados à parte e não podem ser sobrescritos
+  function restoreRoom(snapshot) {
+    const previous = rooms.get(snapshot.code);
+    if (!previous) {
+      const room = {
+        ...snapshot,
+        participants: new Map(snapshot.participants.map(participant => [participant.peerId, participant]))
+      };
+      rooms.set(room.code, room);
+      room.participants.forEach((participant, peerId) => peerRooms.set(peerId, room.code));
+      return room;
+    }
+
+    const round = roundKey(previous.round) === roundKey(snapshot.round)
+      ? { ...snapshot.round, votes: previous.round.votes }
+      : snapshot.round;
+    return Object.assign(previous, { ...snapshot, participants: previous.participants, round });
+  }
+
+  function restoreParticipant(code, participant) {
+    const room = getRoom(code);
+    if (!room) return false;
+
+    const previousCode = peerRooms.get(participant.peerId);
+    if (previousCode && previousCode !== room.code && rooms.has(previousCode)) {
+      removeParticipant(rooms.get(previousCode), participant.peerId);
+    }
+    room.participants.set(participant.peerId, participant);
+    peerRooms.set(participant.peerId, room.code);
+    return true;
+  }
+
+  function forgetParticipant(code, peerId) {
+    const room = getRoom(code);
+    if (!room || !room.participants.has(peerId)) return false;
+
+    removeParticipant(room, peerId);
+    return true;
+  }
+
+  // Ignora votos de uma votação que já não é a atual
+  function restoreVote(code, key, vote) {
+    const room = getRoom(code);
+    if (!room || room.round.phase !== 'voting' || roundKey(room.round) !== key) return false;
+
+    room.round.votes = room.round.votes.filter(existing => existing.peerId !== vote.peerId).concat(vote);
+    return true;
+  }
+
+  // Remove uma sala encerrada em outra instância, também sem avisar os ouvintes
+  function forgetRoom(code) {
+    const room = getRoom(code);
+    if (!room) return false;
+
+    removeRoom(room);
+    return true;
+  }
+
+  function onChange(listener) {
+    changeListeners.push(listener);
+  }
+
+  function listRooms() {
+    return [...rooms.values()];
+  }
+
+  return {
+    createRoom,
+    getRoom,
+    getRoomByPeer,
+    joinRoom,
+    leaveRoom,
+    setHost,
+    setState,
+    castVote,
+    transitionRound,
+    updateBacklog,
+    closeRoom,
+    listRooms,
+    restoreRoom,
+    forgetRoom,
+    restoreParticipant,
+    forgetParticipant,
+    restoreVote,
+    onChange,
+    get size() {
+      return rooms.size;
+    }
+  };
+}
+
+// Escolhe o participante conectado há mais tempo (menor horário de conexão)
+function pickNextHost(room, getConnectedAt) {
+  let candidate = null;
+  let candidateSince = Infinity;
+
+  room.participants.forEach((participant, peerId) => {
+    if (peerId === room.hostId) return;
+
+    const since = getConnectedAt(peerId);
+    if (since !== undefined && since < candidateSince) {
+      candidate = peerId;
+      candidateSince = since;
+    }
+  });
+
+  return candidate;
+}
+
+function isProtectedRoom(room) {
+  return room.access.mode !== 'open';
+}
+
+// Representação pública da sala (sem estruturas internas). Em salas protegidas
+// o ID do host e a sessão só são entregues depois de validar senha ou convite
+function serializeRoom(room, { includePrivate = !isProtectedRoom(room) } = {}) {
+  return {
+    code: room.code,
+    sessionId: includePrivate ? room.sessionId : undefined,
+    hostId: includePrivate ? room.hostId : undefined,
+    access: room.access.mode,
+    hiddenVotes: room.hiddenVotes,
+    deck: room.deck,
+    createdAt: new Date(room.createdAt).toISOString(),
+    participantCount: room.participants.size
+  };
+}
+
+// Cópia completa da sala em JSON, para o armazenamento compartilhado
+function snapshotRoom(room) {
+  return { ...room, participants: [...room.participants.values()] };
+}
+
+function serializeParticipants(room) {
+  return [...room.participants.values()].map(participant => ({
+    peerId: participant.peerId,
+    name: participant.name,
+    joinedAt: new Date(participant.joinedAt).toISOString(),
+    isHost: participant.peerId === room.hostId
+  }));
+}
+
+module.exports = {
+  createRoomRegistry,
+  normalizeRoomCode,
+  isValidRoomCode,
+  isProtectedRoom,
+  pickNextHost,
+  serializeRoom,
+  serializeParticipants,
+  snapshotRoom
+};
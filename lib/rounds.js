@@ -0,0 +1,128 @@
+const crypto = require('crypto');
+
+const MAX_STORY_LENGTH = 200;
+const MAX_ESTIMATE_LENGTH = 20;
+
+// Ciclo de vida de uma rodada: idle → voting → revealed → finalized. Do revealed dá
+// para voltar ao voting (re-votação), e de finalized (ou idle) começa a próxima rodada
+const ROUND_TRANSITIONS = {
+  start: { from: ['idle', 'finalized'], to: 'voting' },
+  reveal: { from: ['voting'], to: 'revealed' },
+  revote: { from: ['revealed'], to: 'voting' },
+  finalize: { from: ['revealed'], to: 'finalized' }
+};
+
+function createRound() {
+  return {
+    id: null,
+    phase: 'idle',
+    story: null,
+    storyId: null, // História da fila da sala, quando a rodada veio dela
+    votes: [],
+    revotes: 0,
+    startedAt: null,
+    revealedAt: null,
+    finalizedAt: null,
+    finalEstimate: null,
+    stats: null, // Calculadas na revelação (lib/stats.js)
+    transitions: []
+  };
+}
+
+function normalizeText(value, maxLength) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim().slice(0, maxLength);
+  return text || null;
+}
+
+// Só as ações do próprio objeto (a URL pode trazer `constructor`, `toString`...)
+function isRoundAction(action) {
+  return Object.prototype.hasOwnProperty.call(ROUND_TRANSITIONS, action);
+}
+
+function canTransition(round, action) {
+  return isRoundAction(action) && ROUND_TRANSITIONS[action].from.includes(round.phase);
+}
+
+// Aplica a ação à rodada e devolve a rodada resultante (a mesma ou uma nova, no start).
+// Quem chama confere antes com canTransition
+function applyTransition(round, action, { story, storyId, finalEstimate, stats } = {}, now = Date.now()) {
+  const next = action === 'start'
+    ? {
+      ...createRound(),
+      id: crypto.randomUUID(),
+      story: normalizeText(story, MAX_STORY_LENGTH),
+      storyId: storyId || null,
+      startedAt: now
+    }
+    : round;
+
+  next.phase = ROUND_TRANSITIONS[action].to;
+  next.transitions.push({ action, phase: next.phase, at: now });
+
+  if (action === 'reveal') {
+    next.revealedAt = now;
+    next.stats = stats || null;
+  } else if (action === 'revote') {
+    next.votes = [];
+    next.revealedAt = null;
+    next.stats = null;
+    next.revotes++;
+  } else if (action === 'finalize') {
+    next.finalizedAt = now;
+    next.finalEstimate = normalizeText(finalEstimate, MAX_ESTIMATE_LENGTH);
+  }
+
+  return next;
+}
+
+// Identifica a votação em andamento: muda a cada start e a cada re-votação, quando os
+// votos recomeçam
+function roundKey(round) {
+  return `${round.id}:${round.revotes}`;
+}
+
+function isRevealed(round) {
+  return round.phase === 'revealed' || round.phase === 'finalized';
+}
+
+function toIso(time) {
+  return time ? new Date(time).toISOString() : null;
+}
+
+// Rodada vista por `viewerId`: antes da revelação, só quem já votou (e o próprio voto
+// de quem pergunta); depois dela, todos os valores
+function serializeRound(room, viewerId) {
+  const { round } = room;
+  const nameOf = peerId => (room.participants.has(peerId) ? room.participants.get(peerId).name : null);
+  const own = round.votes.find(vote => vote.peerId === viewerId) || { value: null };
+
+  return {
+    id: round.id,
+    phase: round.phase,
+    story: round.story,
+    storyId: round.storyId,
+    revotes: round.revotes,
+    startedAt: toIso(round.startedAt),
+    revealedAt: toIso(round.revealedAt),
+    finalizedAt: toIso(round.finalizedAt),
+    finalEstimate: round.finalEstimate,
+    transitions: round.transitions.map(transition => ({ ...transition, at: toIso(transition.at) })),
+    voters: round.votes.map(vote => vote.peerId),
+    myVote: viewerId ? own.value : undefined,
+    votes: isRevealed(round)
+      ? round.votes.map(vote => ({ peerId: vote.peerId, name: nameOf(vote.peerId), value: vote.value }))
+      : undefined,
+    stats: isRevealed(round) ? round.stats : undefined
+  };
+}
+
+module.exports = {
+  ROUND_TRANSITIONS,
+  isRoundAction,
+  createRound,
+  canTransition,
+  applyTransition,
+  roundKey,
+  serializeRound
+};
@@ -0,0 +1,50 @@
+const DRAIN_POLL_INTERVAL = 1000; // 1 segundo
+const FORCE_EXIT_DELAY = 5 * 1000; // 5 segundos, somados ao período de graça
+
+// Encerramento em etapas para deploys: para de aceitar peers, avisa quem está
+// conectado, espera o período de graça (ou até todos saírem) e só então fecha o servidor.
+// - beginDrain(): recusa conexões novas e avisa os peers
+// - isIdle(): true quando não há mais ninguém conectado
+// - close(callback): fecha servidor e sockets restantes
+function createGracefulShutdown({ graceMs, isIdle, beginDrain, close, logger }) {
+  let draining = false;
+
+  function finish(code) {
+    // Se algum socket segurar o close, sai mesmo assim
+    setTimeout(() => process.exit(code), FORCE_EXIT_DELAY).unref();
+    close(err => {
+      if (err) {
+        logger.error('Erro ao fechar o servidor', { error: err });
+      }
+      logger.info('Servidor encerrado');
+      process.exit(err ? 1 : code);
+    });
+  }
+
+  function shutdown(signal) {
+    if (draining) return;
+    draining = true;
+
+    logger.info('Sinal recebido, drenando conexões', { signal, graceMs });
+    beginDrain();
+
+    const startedAt = Date.now();
+    const poll = setInterval(() => {
+      const idle = isIdle();
+      if (idle || Date.now() - startedAt >= graceMs) {
+        clearInterval(poll);
+        logger.info(idle ? 'Todos os peers saíram, fechando o servidor' : 'Período de graça encerrado, fechando o servidor');
+        finish(0);
+      }
+    }, DRAIN_POLL_INTERVAL);
+  }
+
+  return {
+    shutdown,
+    get draining() {
+      return draining;
+    }
+  };
+}
+
+module.exports = { createGracefulShutdown, FORCE_EXIT_DELAY };
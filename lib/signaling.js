@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+
+// Envio de mensagens do servidor para os peers pelo socket de sinalização do PeerJS.
+// O cliente PeerJS ignora (apenas registra) tipos que não conhece, então a aplicação
+// pode escutar essas mensagens em `peer.socket` sem afetar o fluxo WebRTC.
+function createSignaling({ logger }) {
+  const clients = new Map(); // peerId -> client PeerJS
+  let messageFilter = null;
+  let remoteSender = null;
+
+  // Intercepta as mensagens do socket antes do PeerJS repassá-las. O filtro recebe
+  // (client, message) e devolve false para descartar a mensagem
+  function guardSocket(client) {
+    const socket = client.getSocket();
+    if (!socket || socket.guarded) return;
+
+    const listeners = socket.listeners('message');
+    socket.removeAllListeners('message');
+    socket.guarded = true;
+
+    socket.on('message', data => {
+      if (messageFilter) {
+        let message = null;
+        try {
+          message = JSON.parse(data);
+        } catch (err) {
+          // Mensagem inválida: o PeerJS trata o erro
+        }
+        if (message && messageFilter(client, message) === false) return;
+      }
+
+      listeners.forEach(listener => listener.call(socket, data));
+    });
+  }
+
+  function setMessageFilter(filter) {
+    messageFilter = filter;
+  }
+
+  // Com várias instâncias, entrega para peers cujo socket está em outra instância.
+  // sender(peerId, message) devolve false se o peer não está conectado em nenhuma
+  function setRemoteSender(sender) {
+    remoteSender = sender;
+  }
+
+  function register(client) {
+    clients.set(client.getId(), client);
+    guardSocket(client);
+  }
+
+  // Só remove se for o mesmo client (o peer pode ter reconectado com o mesmo ID)
+  function unregister(client) {
+    const id = client.getId();
+    if (clients.get(id) === client) {
+      clients.delete(id);
+    }
+  }
+
+  function getClient(peerId) {
+    return clients.get(peerId) || null;
+  }
+
+  // Confere o token que o cliente PeerJS usou para abrir a sinalização
+  // (`peer.options.token` no navegador): prova que quem chama a API é dono do peerId
+  function isPeerOwner(peerId, token) {
+    const client = clients.get(peerId);
+    if (!client || typeof token !== 'string') return false;
+
+    const expected = Buffer.from(String(client.getToken()));
+    const received = Buffer.from(token);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+  }
+
+  function sendToLocalPeer(peerId, message) {
+    const client = clients.get(peerId);
+    if (!client || !client.getSocket()) return false;
+
+    try {
+      client.send(message);
+      return true;
+    } catch (err) {
+      logger.warn('Falha ao enviar mensagem pela sinalização', { peerId, error: err.message });
+      return false;
+    }
+  }
+
+  function sendToPeer(peerId, message) {
+    if (clients.has(peerId)) {
+      return sendToLocalPeer(peerId, message);
+    }
+    return remoteSender ? remoteSender(peerId, message) : false;
+  }
+
+  function notifyRoom(room, message, { exclude } = {}) {
+    let delivered = 0;
+
+    room.participants.forEach((participant, peerId) => {
+      if (peerId !== exclude && sendToPeer(peerId, message)) {
+        delivered++;
+      }
+    });
+
+    return delivered;
+  }
+
+  // Mensagem para todos os peers conectados nesta instância
+  function broadcast(message) {
+    let delivered = 0;
+    clients.forEach((client, peerId) => {
+      if (sendToLocalPeer(peerId, message)) delivered++;
+    });
+    return delivered;
+  }
+
+  // Fecha os sockets de sinalização restantes (o PeerJS emite 'disconnect' para cada um)
+  function closeAll(code, reason) {
+    clients.forEach(client => {
+      const socket = client.getSocket();
+      if (socket) socket.close(code, reason);
+    });
+  }
+
+  return {
+    setMessageFilter,
+    setRemoteSender,
+    register,
+    unregister,
+    getClient,
+    isPeerOwner,
+    sendToPeer,
+    sendToLocalPeer,
+    notifyRoom,
+    broadcast,
+    closeAll
+  };
+}
+
+module.exports = { createSignaling };
@@ -0,0 +1,97 @@
+const { cardToNumber } = require('./cards');
+
+// Cartas de quem não estimou: '?' (não sei) e '☕' (pausa)
+const ABSTAIN_CARDS = ['?', '☕'];
+// Cartas especiais, que nunca são posições da escala
+const SPECIAL_CARDS = [...ABSTAIN_CARDS, 'XP'];
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function median(sorted) {
+  if (sorted.length === 0) return null;
+
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 0
+    ? (sorted[middle - 1] + sorted[middle]) / 2
+    : sorted[middle];
+}
+
+// Resumo dos votos de uma rodada. Cartas não numéricas ficam fora dos cálculos
+// e são contadas à parte em nonNumeric (ex.: { '?': 1, '☕': 2 })
+function summarizeVotes(votes) {
+  const numbers = [];
+  const nonNumeric = {};
+
+  votes.forEach(vote => {
+    const number = cardToNumber(vote.value);
+    if (number === null) {
+      nonNumeric[vote.value] = (nonNumeric[vote.value] || 0) + 1;
+    } else {
+      numbers.push(number);
+    }
+  });
+
+  numbers.sort((a, b) => a - b);
+
+  return {
+    totalVotes: votes.length,
+    numericVotes: numbers.length,
+    nonNumeric,
+    average: numbers.length > 0 ? round2(numbers.reduce((a, b) => a + b, 0) / numbers.length) : null,
+    median: median(numbers),
+    min: numbers.length > 0 ? numbers[0] : null,
+    max: numbers.length > 0 ? numbers[numbers.length - 1] : null
+  };
+}
+
+// Escala das estatísticas: as cartas numéricas do baralho, as mesmas da média e da
+// mediana. Baralhos sem nenhum número (tamanhos de camiseta) usam a ordem das cartas,
+// sem as especiais
+function deckScale(deckValues) {
+  const numeric = deckValues.filter(card => cardToNumber(card) !== null);
+  return numeric.length > 0 ? numeric : deckValues.filter(card => !SPECIAL_CARDS.includes(card));
+}
+
+function votersOf(votes, card) {
+  return votes
+    .filter(vote => vote.value === card)
+    .map(vote => ({ peerId: vote.peerId || null, name: vote.name || null }));
+}
+
+// Estatísticas da rodada calculadas na revelação. Além do resumo numérico, usa a
+// escala do baralho (deckScale):
+// - mode: carta(s) mais votada(s)
+// - spread: menor e maior carta e quantas posições do baralho as separam
+// - consensus: % dos votos na escala que caíram na carta mais votada
+// - highest / lowest: quem votou nos extremos, para abrir a discussão (null sem divergência)
+// Votos fora da escala ('?', '☕', 'XP') só aparecem em nonNumeric; '?' e '☕' também
+// em abstentions
+function analyzeVotes(votes, deckValues) {
+  const scale = deckScale(deckValues);
+  const onScale = votes.filter(vote => scale.includes(vote.value));
+  const abstentions = votes.filter(vote => ABSTAIN_CARDS.includes(vote.value)).length;
+
+  const counts = new Map();
+  onScale.forEach(vote => counts.set(vote.value, (counts.get(vote.value) || 0) + 1));
+  const topCount = Math.max(0, ...counts.values());
+  const mode = scale.filter(card => counts.get(card) === topCount);
+
+  const positions = onScale.map(vote => scale.indexOf(vote.value));
+  const lowestCard = onScale.length > 0 ? scale[Math.min(...positions)] : null;
+  const highestCard = onScale.length > 0 ? scale[Math.max(...positions)] : null;
+  const steps = onScale.length > 0 ? Math.max(...positions) - Math.min(...positions) : null;
+
+  return {
+    ...summarizeVotes(votes),
+    abstentions,
+    mode,
+    spread: onScale.length > 0 ? { min: lowestCard, max: highestCard, steps } : null,
+    consensus: onScale.length > 0 ? Math.round(topCount / onScale.length * 100) : null,
+    highest: steps > 0 ? { value: highestCard, voters: votersOf(onScale, highestCard) } : null,
+    lowest: steps > 0 ? { value: lowestCard, voters: votersOf(onScale, lowestCard) } : null
+  };
+}
+
+module.exports = { summarizeVotes, analyzeVotes, ABSTAIN_CARDS };
@@ -0,0 +1,27 @@
+const { createMemoryStore } = require('./memory');
+const { createRedisStore } = require('./redis');
+
+// STORE=memory (padrão) ou STORE=redis com REDIS_URL
+function createStore({ type = 'memory', redisUrl, prefix, logger } = {}) {
+  if (type === 'memory') {
+    return createMemoryStore();
+  }
+
+  if (type === 'redis') {
+    if (!redisUrl) {
+      throw new Error('STORE=redis exige REDIS_URL');
+    }
+    const Redis = require('ioredis');
+    const client = new Redis(redisUrl);
+    // Sem listener, o ioredis trata a queda da conexão como erro não tratado; ele
+    // mesmo reconecta, então basta registrar no log
+    client.on('error', err => {
+      logger.error('Erro na conexão com o Redis', { error: err.message });
+    });
+    return createRedisStore({ client, prefix });
+  }
+
+  throw new Error(`Armazenamento desconhecido: ${type}`);
+}
+
+module.exports = { createStore, createMemoryStore, createRedisStore };
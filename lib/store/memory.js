@@ -0,0 +1,43 @@
+const { EventEmitter } = require('events');
+
+// Armazenamento em memória, o padrão com uma única instância. Segue a mesma interface
+// do adaptador Redis (hashes + pub/sub); duas instâncias no mesmo processo (testes)
+// podem compartilhar o mesmo objeto
+function createMemoryStore() {
+  const hashes = new Map(); // chave -> Map(campo -> valor)
+  const channels = new EventEmitter();
+  channels.setMaxListeners(0);
+
+  function hash(key) {
+    if (!hashes.has(key)) hashes.set(key, new Map());
+    return hashes.get(key);
+  }
+
+  return {
+    type: 'memory',
+    async hset(key, field, value) {
+      hash(key).set(field, value);
+    },
+    async hdel(key, field) {
+      hash(key).delete(field);
+    },
+    async hgetall(key) {
+      return Object.fromEntries(hash(key));
+    },
+    async del(key) {
+      hashes.delete(key);
+    },
+    // Entrega assíncrona, como no Redis
+    async publish(channel, message) {
+      setImmediate(() => channels.emit(channel, message));
+    },
+    async subscribe(channel, handler) {
+      channels.on(channel, handler);
+    },
+    async close() {
+      channels.removeAllListeners();
+    }
+  };
+}
+
+module.exports = { createMemoryStore };
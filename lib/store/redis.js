@@ -0,0 +1,42 @@
+// Adaptador Redis (ou compatível: KeyDB, Valkey, ioredis-mock nos testes). Recebe um
+// client ioredis já criado; a assinatura de canais usa uma segunda conexão, porque
+// uma conexão em modo subscribe não aceita outros comandos
+function createRedisStore({ client, prefix = 'planin:' }) {
+  const subscriber = client.duplicate();
+  // A segunda conexão não herda os listeners; os erros vão para o mesmo log
+  client.listeners('error').forEach(listener => subscriber.on('error', listener));
+  const handlers = new Map(); // canal -> handler
+
+  subscriber.on('message', (channel, message) => {
+    const handler = handlers.get(channel);
+    if (handler) handler(message);
+  });
+
+  return {
+    type: 'redis',
+    async hset(key, field, value) {
+      await client.hset(`${prefix}${key}`, field, value);
+    },
+    async hdel(key, field) {
+      await client.hdel(`${prefix}${key}`, field);
+    },
+    async hgetall(key) {
+      return client.hgetall(`${prefix}${key}`);
+    },
+    async del(key) {
+      await client.del(`${prefix}${key}`);
+    },
+    async publish(channel, message) {
+      await client.publish(`${prefix}${channel}`, message);
+    },
+    async subscribe(channel, handler) {
+      handlers.set(`${prefix}${channel}`, handler);
+      await subscriber.subscribe(`${prefix}${channel}`);
+    },
+    async close() {
+      await Promise.all([client.quit(), subscriber.quit()]);
+    }
+  };
+}
+
+module.exports = { createRedisStore };
@@ -0,0 +1,57 @@
+const http = require('http');
+
+// Responde ao upgrade com um status HTTP e fecha o socket: o WebSocket nem chega a abrir
+function rejectUpgrade(socket, status, reason = http.STATUS_CODES[status]) {
+  const body = String(reason);
+  socket.write(
+    `HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\n` +
+    'Connection: close\r\n' +
+    'Content-Type: text/plain; charset=utf-8\r\n' +
+    `Content-Length: ${Buffer.byteLength(body)}\r\n\r\n${body}`
+  );
+  socket.destroy();
+}
+
+// Centraliza o evento 'upgrade' do servidor HTTP. O servidor WebSocket do PeerJS
+// responde 400 a qualquer upgrade fora do seu caminho, então os listeners que ele
+// registrou viram o destino padrão e as demais rotas WebSocket são despachadas antes
+function createUpgradeRouter(server) {
+  const passThroughListeners = server.listeners('upgrade');
+  const routes = [];
+  let accepting = true;
+  let wrapPassThrough = (req, next) => next();
+
+  server.removeAllListeners('upgrade');
+
+  server.on('upgrade', (req, socket, head) => {
+    if (!accepting) {
+      return rejectUpgrade(socket, 503);
+    }
+
+    const route = routes.find(candidate => candidate.matches(req));
+    if (route) {
+      return route.handle(req, socket, head);
+    }
+
+    wrapPassThrough(req, () => {
+      passThroughListeners.forEach(listener => listener.call(server, req, socket, head));
+    }, (status, reason) => rejectUpgrade(socket, status, reason));
+  });
+
+  return {
+    use(matches, handle) {
+      routes.push({ matches, handle });
+    },
+    // Permite preparar contexto em volta do handshake do PeerJS (que é síncrono) ou
+    // recusá-lo antes: wrapper(req, next, reject(status, motivo))
+    wrapPassThrough(wrapper) {
+      wrapPassThrough = wrapper;
+    },
+    // Recusa (503) todos os upgrades a partir de agora, usado no encerramento
+    stopAccepting() {
+      accepting = false;
+    }
+  };
+}
+
+module.exports = { createUpgradeRouter, rejectUpgrade };
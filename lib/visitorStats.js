@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createHyperLogLog } = require('./hyperLogLog');
+
+const SAVE_DELAY = 2000; // Agrupa várias contagens numa só escrita
+const MAX_DAYS = 365;
+
+function today() {
+  return new Date().toISOString().slice(0, 10); // Dias em UTC
+}
+
+function emptyCounts() {
+  return { visitors: 0, rooms: 0, votes: 0 };
+}
+
+// Contador persistente de visitantes únicos, salas criadas e votos, com totais por dia
+// (UTC) e desde o início. Os visitantes únicos são contados por HyperLogLog (do dia e
+// desde o início), sobre um HMAC do identificador com um sal aleatório gravado no próprio
+// arquivo: o arquivo tem tamanho fixo, não importa quantos identificadores cheguem
+function createVisitorStats({ file, logger }) {
+  let state = {
+    salt: crypto.randomBytes(16).toString('hex'),
+    allTime: emptyCounts(),
+    days: {}, // data -> contagens
+    visitors: null, // registradores do HyperLogLog desde o início
+    visitorsToday: { date: today(), registers: null }
+  };
+
+  try {
+    state = { ...state, ...JSON.parse(fs.readFileSync(file, 'utf8')) };
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      logger.error('Falha ao carregar estatísticas de visitantes', { error: err.message });
+    }
+  }
+
+  const allVisitors = createHyperLogLog(state.visitors);
+  let todayVisitors = createHyperLogLog(state.visitorsToday.date === today() ? state.visitorsToday.registers : null);
+  let todayDate = today();
+
+  // Arquivos antigos guardavam a lista de hashes (`seen` e `seenToday`)
+  (state.seen || []).forEach(hash => allVisitors.add(hash));
+  if (state.seenToday && state.seenToday.date === todayDate) {
+    state.seenToday.hashes.forEach(hash => todayVisitors.add(hash));
+  }
+  let saveTimer = null;
+  let saving = Promise.resolve();
+
+  function hashVisitor(visitorId) {
+    return crypto.createHmac('sha256', state.salt).update(String(visitorId)).digest('hex').slice(0, 32);
+  }
+
+  function countsFor(date) {
+    if (!state.days[date]) {
+      state.days[date] = emptyCounts();
+
+      // Mantém só o último ano de contagens diárias
+      const dates = Object.keys(state.days).sort();
+      dates.slice(0, Math.max(0, dates.length - MAX_DAYS)).forEach(old => delete state.days[old]);
+    }
+    return state.days[date];
+  }
+
+  async function save() {
+    const snapshot = JSON.stringify({
+      salt: state.salt,
+      allTime: state.allTime,
+      days: state.days,
+      visitors: allVisitors.toString(),
+      visitorsToday: { date: todayDate, registers: todayVisitors.toString() }
+    });
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    const tmpFile = `${file}.tmp`;
+    await fs.promises.writeFile(tmpFile, snapshot, 'utf8');
+    await fs.promises.rename(tmpFile, file);
+  }
+
+  function scheduleSave() {
+    if (saveTimer) return;
+    saveTimer = setTimeout(() => {
+      saveTimer = null;
+      saving = saving.then(save).catch(err => {
+        logger.error('Falha ao gravar estatísticas de visitantes', { error: err.message });
+      });
+    }, SAVE_DELAY);
+  }
+
+  function increment(field, amount = 1) {
+    state.allTime[field] += amount;
+    countsFor(today())[field] += amount;
+    scheduleSave();
+  }
+
+  // Retorna true se a visita mudou a contagem do dia (primeira visita do dia, salvo
+  // a margem de erro do HyperLogLog)
+  function recordVisit(visitorId) {
+    const date = today();
+    if (date !== todayDate) {
+      todayVisitors = createHyperLogLog();
+      todayDate = date;
+    }
+
+    const hash = hashVisitor(visitorId);
+    if (!todayVisitors.add(hash)) return false;
+
+    countsFor(date).visitors = todayVisitors.count();
+    if (allVisitors.add(hash)) {
+      state.allTime.visitors = allVisitors.count();
+    }
+    scheduleSave();
+    return true;
+  }
+
+  function recordRoomCreated() {
+    increment('rooms');
+  }
+
+  function recordVotes(count) {
+    if (count > 0) increment('votes', count);
+  }
+
+  // Totais desde o início, de hoje e dos últimos `days` dias (mais recente primeiro)
+  function summary({ days = 30 } = {}) {
+    const date = today();
+    const daily = [];
+    for (let offset = 0; offset < days; offset++) {
+      const day = new Date(Date.now() - offset * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+      daily.push({ date: day, ...(state.days[day] || emptyCounts()) });
+    }
+
+    return {
+      allTime: { ...state.allTime },
+      today: { date, ...(state.days[date] || emptyCounts()) },
+      daily
+    };
+  }
+
+  // Grava o que estiver pendente (usado no encerramento)
+  function flush() {
+    if (saveTimer) {
+      clearTimeout(saveTimer);
+      saveTimer = null;
+      saving = saving.then(save);
+    }
+    return saving;
+  }
+
+  return {
+    recordVisit,
+    recordRoomCreated,
+    recordVotes,
+    summary,
+    flush
+  };
+}
+
+module.exports = { createVisitorStats, MAX_DAYS };
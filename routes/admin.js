@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+const express = require('express');
+const path = require('path');
+
+const DASHBOARD_FILE = path.join(__dirname, '..', 'admin', 'dashboard.html');
+
+function sha256(text) {
+  return crypto.createHash('sha256').update(text).digest();
+}
+
+// Painel de administração (HTML + JSON), protegido por HTTP Basic com ADMIN_PASSWORD.
+// As comparações são feitas sobre o hash, para não vazar o tamanho da senha pelo tempo
+function createAdminRouter({
+  username,
+  password,
+  failedAttempts,
+  getClientIp,
+  getOverview,
+  kickPeer,
+  closeRoom,
+  clearRateLimit,
+  logger
+}) {
+  const router = express.Router();
+  const expected = sha256(`${username}:${password}`);
+
+  function requireAdmin(req, res, next) {
+    const ip = getClientIp(req);
+    const attemptKey = `admin:${ip}`;
+    const retryAfter = failedAttempts.retryAfter(attemptKey);
+
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Muitas tentativas inválidas. Tente novamente mais tarde.' });
+    }
+
+    const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+    const credentials = scheme === 'Basic' && encoded ? Buffer.from(encoded, 'base64').toString('utf8') : '';
+
+    if (!crypto.timingSafeEqual(sha256(credentials), expected)) {
+      if (credentials) {
+        const failures = failedAttempts.recordFailure(attemptKey);
+        logger.warn('Credenciais de administrador inválidas', { requestId: req.id, ip, failures });
+      }
+      res.setHeader('WWW-Authenticate', 'Basic realm="Planin admin", charset="UTF-8"');
+      return res.status(401).json({ error: 'Autenticação de administrador necessária' });
+    }
+
+    failedAttempts.reset(attemptKey);
+    next();
+  }
+
+  // O navegador reenvia as credenciais Basic sozinho, então requisições vindas de outra
+  // origem (CSRF ou leitura do overview) são recusadas, inclusive GET. Abrir o painel
+  // pela barra de endereços não envia Origin
+  function requireSameOrigin(req, res, next) {
+    const origin = req.get('Origin');
+    let sameOrigin = !origin;
+    try {
+      sameOrigin = sameOrigin || new URL(origin).host === req.get('host');
+    } catch (err) {
+      sameOrigin = false;
+    }
+
+    if (!sameOrigin) {
+      return res.status(403).json({ error: 'Origem não permitida' });
+    }
+    next();
+  }
+
+  router.use(requireAdmin, requireSameOrigin);
+
+  router.get('/', (req, res) => {
+    // A página usa URLs relativas (overview, peers/...), então precisa da barra final
+    if (!req.originalUrl.split('?')[0].endsWith('/')) {
+      return res.redirect(301, `${req.baseUrl}/`);
+    }
+    res.sendFile(DASHBOARD_FILE);
+  });
+
+  // Salas, peers, IPs limitados e erros recentes para o painel
+  router.get('/overview', (req, res) => {
+    res.json(getOverview());
+  });
+
+  router.post('/peers/:peerId/kick', (req, res) => {
+    if (!kickPeer(req.params.peerId)) {
+      return res.status(404).json({ error: 'Peer não está conectado' });
+    }
+    logger.info('Peer desconectado pelo administrador', { requestId: req.id, peerId: req.params.peerId });
+    res.status(204).end();
+  });
+
+  router.post('/rooms/:code/close', (req, res) => {
+    if (!closeRoom(req.params.code)) {
+      return res.status(404).json({ error: 'Sala não existe' });
+    }
+    logger.info('Sala encerrada pelo administrador', { requestId: req.id, roomId: req.params.code });
+    res.status(204).end();
+  });
+
+  router.delete('/rate-limits/:ip', (req, res) => {
+    if (!clearRateLimit(req.params.ip)) {
+      return res.status(404).json({ error: 'IP sem contadores de rate limit' });
+    }
+    logger.info('Rate limit do IP zerado pelo administrador', { requestId: req.id, ip: req.params.ip });
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createAdminRouter };
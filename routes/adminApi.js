@@ -0,0 +1,166 @@
+const express = require('express');
+const { parseDateRange, isInRange, sendExport } = require('../lib/export');
+const { validateDeckValues, MAX_CUSTOM_DECKS } = require('../lib/decks');
+
+// API de administração para scripts de operação, autenticada por chave
+// (Authorization: Bearer <chave>). Chaves `read` só consultam; `read-write` também alteram
+function createAdminApiRouter({
+  apiKeys,
+  failedAttempts,
+  getClientIp,
+  listPeers,
+  disconnectPeer,
+  rateLimiter,
+  getSettings,
+  updateSettings,
+  runCleanup,
+  history,
+  decks,
+  logger
+}) {
+  const router = express.Router();
+
+  function authenticate(req, res, next) {
+    const ip = getClientIp(req);
+    const attemptKey = `api-key:${ip}`;
+    const retryAfter = failedAttempts.retryAfter(attemptKey);
+
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ error: 'Muitas tentativas inválidas. Tente novamente mais tarde.' });
+    }
+
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+    const key = scheme === 'Bearer' ? apiKeys.authenticate(token) : null;
+
+    if (!key) {
+      const failures = failedAttempts.recordFailure(attemptKey);
+      logger.warn('Chave da API inválida', { requestId: req.id, ip, failures });
+      return res.status(401).json({ error: 'Chave da API ausente ou inválida' });
+    }
+
+    failedAttempts.reset(attemptKey);
+    req.apiKey = key;
+    next();
+  }
+
+  function requireWrite(req, res, next) {
+    if (!apiKeys.allows(req.apiKey, 'write')) {
+      return res.status(403).json({ error: 'Esta chave só tem permissão de leitura' });
+    }
+    next();
+  }
+
+  // Registra quem alterou o quê
+  function audit(req, msg, fields) {
+    logger.info(msg, { requestId: req.id, apiKey: req.apiKey.name, ...fields });
+  }
+
+  router.use(authenticate);
+
+  router.get('/peers', (req, res) => {
+    res.json({ peers: listPeers() });
+  });
+
+  router.delete('/peers/:peerId', requireWrite, (req, res) => {
+    if (!disconnectPeer(req.params.peerId)) {
+      return res.status(404).json({ error: 'Peer não está conectado' });
+    }
+    audit(req, 'Peer desconectado pela API', { peerId: req.params.peerId });
+    res.status(204).end();
+  });
+
+  router.get('/rate-limits', (req, res) => {
+    res.json({ limited: rateLimiter.listLimited() });
+  });
+
+  router.delete('/rate-limits/:ip', requireWrite, (req, res) => {
+    if (!rateLimiter.reset(req.params.ip)) {
+      return res.status(404).json({ error: 'IP sem contadores de rate limit' });
+    }
+    audit(req, 'Rate limit do IP zerado pela API', { ip: req.params.ip });
+    res.status(204).end();
+  });
+
+  router.get('/settings', (req, res) => {
+    res.json(getSettings());
+  });
+
+  // Ajustes em tempo de execução (voltam ao valor do ambiente quando o servidor reinicia)
+  router.patch('/settings', requireWrite, (req, res) => {
+    const { error, settings } = updateSettings(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    audit(req, 'Configuração alterada pela API', { settings });
+    res.json(settings);
+  });
+
+  router.post('/cleanup', requireWrite, (req, res) => {
+    const result = runCleanup();
+    audit(req, 'Limpeza de peers inativos disparada pela API', result);
+    res.json(result);
+  });
+
+  // Cadastrar um baralho personalizado ({ name, values }), listado para todos em GET /decks
+  router.post('/decks', requireWrite, async (req, res) => {
+    const { name, values: input } = req.body || {};
+    const { values, error } = validateDeckValues(input);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (decks.customCount >= MAX_CUSTOM_DECKS) {
+      return res.status(409).json({ error: `Limite de ${MAX_CUSTOM_DECKS} baralhos personalizados atingido` });
+    }
+
+    try {
+      const deck = await decks.createDeck({ name, values });
+      audit(req, 'Baralho personalizado criado pela API', { deckId: deck.id, name: deck.name });
+      res.status(201).json(deck);
+    } catch (err) {
+      logger.error('Falha ao gravar baralho', { requestId: req.id, error: err });
+      res.status(500).json({ error: 'Não foi possível gravar o baralho' });
+    }
+  });
+
+  router.delete('/decks/:id', requireWrite, async (req, res) => {
+    try {
+      if (!(await decks.deleteDeck(req.params.id))) {
+        return res.status(404).json({ error: 'Baralho personalizado não existe' });
+      }
+      audit(req, 'Baralho personalizado removido pela API', { deckId: req.params.id });
+      res.status(204).end();
+    } catch (err) {
+      logger.error('Falha ao gravar baralho', { requestId: req.id, error: err });
+      res.status(500).json({ error: 'Não foi possível gravar o baralho' });
+    }
+  });
+
+  // Exportação do histórico de todas as salas num intervalo de datas (?from=&to=&format=csv|json).
+  // Lê todos os arquivos do histórico, por isso fica restrita às chaves da API
+  router.get('/history/export', async (req, res) => {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    try {
+      const rounds = [];
+      for (const code of await history.listRoomCodes()) {
+        rounds.push(...(await history.listRounds(code)).filter(round => isInRange(round, range)));
+      }
+      rounds.sort((a, b) => a.finishedAt.localeCompare(b.finishedAt));
+
+      audit(req, 'Histórico exportado pela API', { from: req.query.from, to: req.query.to, rounds: rounds.length });
+      sendExport(res, rounds, { format: req.query.format, filename: 'planin-export' });
+    } catch (err) {
+      logger.error('Falha ao exportar histórico', { requestId: req.id, error: err });
+      res.status(500).json({ error: 'Não foi possível exportar o histórico' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createAdminApiRouter };
@@ -0,0 +1,23 @@
+const express = require('express');
+
+// Baralhos disponíveis para as salas. O cadastro de baralhos fica na API de
+// administração; cada sala também aceita um baralho próprio na criação
+function createDecksRouter({ decks }) {
+  const router = express.Router();
+
+  router.get('/', (req, res) => {
+    res.json({ decks: decks.listDecks() });
+  });
+
+  router.get('/:id', (req, res) => {
+    const deck = decks.getDeck(req.params.id);
+    if (!deck) {
+      return res.status(404).json({ error: 'Baralho não existe' });
+    }
+    res.json(deck);
+  });
+
+  return router;
+}
+
+module.exports = { createDecksRouter };
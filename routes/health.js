@@ -0,0 +1,27 @@
+const express = require('express');
+const { runChecks } = require('../lib/health');
+
+// Health checks para o Render e orquestradores:
+// - /live: o processo está respondendo (falha só se o event loop travar de vez)
+// - /ready: o servidor pode receber peers novos agora
+function createHealthRouter({ readinessChecks }) {
+  const router = express.Router();
+
+  router.get('/live', (req, res) => {
+    res.json({ status: 'ok', uptime: process.uptime(), reasons: [] });
+  });
+
+  router.get('/ready', async (req, res) => {
+    const result = await runChecks(readinessChecks);
+
+    res.status(result.ok ? 200 : 503).json({
+      status: result.ok ? 'ok' : 'unavailable',
+      reasons: result.reasons,
+      checks: result.checks
+    });
+  });
+
+  return router;
+}
+
+module.exports = { createHealthRouter };
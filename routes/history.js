@@ -0,0 +1,76 @@
+const express = require('express');
+const { isValidRoomCode, normalizeRoomCode } = require('../lib/rooms');
+const { isProtectedRound, groupSessions } = require('../lib/history');
+const { parseDateRange, isInRange, sendExport } = require('../lib/export');
+
+// Consulta do histórico de estimativas (continua disponível depois que a sala fecha).
+// A exportação de todas as salas fica na API de administração (routes/adminApi.js)
+function createHistoryRouter({ history, roomTokens, logger }) {
+  const router = express.Router();
+
+  router.param('code', (req, res, next, code) => {
+    if (!isValidRoomCode(code)) {
+      return res.status(400).json({ error: 'Código de sala inválido' });
+    }
+    req.roomCode = normalizeRoomCode(code);
+    next();
+  });
+
+  // Sessão da sala da qual o portador do X-Room-Token participou, ou null. O token de
+  // membro continua valendo para o histórico depois que a sala é encerrada
+  function memberSession(req) {
+    return roomTokens.memberTokenSession(req.get('X-Room-Token'), req.roomCode);
+  }
+
+  // Lê as rodadas da sala (?sessionId=) visíveis para quem pergunta: rodadas de salas
+  // com senha ou convite só aparecem para os participantes daquela sessão, aberta ou
+  // já encerrada. Sem nenhuma rodada visível num histórico protegido, responde 401
+  async function loadRounds(req, res, next) {
+    let rounds;
+    try {
+      rounds = await history.listRounds(req.roomCode, { sessionId: req.query.sessionId });
+    } catch (err) {
+      logger.error('Falha ao ler histórico', { requestId: req.id, roomId: req.roomCode, error: err });
+      return res.status(500).json({ error: 'Não foi possível ler o histórico' });
+    }
+
+    const session = memberSession(req);
+    req.rounds = rounds.filter(round => !isProtectedRound(round) || round.sessionId === session);
+    if (req.rounds.length === 0 && rounds.length > 0) {
+      logger.warn('Histórico de sala protegida negado', { requestId: req.id, roomId: req.roomCode });
+      return res.status(401).json({ error: 'Histórico de sala protegida: envie o X-Room-Token de um participante da sessão' });
+    }
+    next();
+  }
+
+  // Sessões (uma por abertura de sala) com quantidade de rodadas
+  router.get('/:code/sessions', loadRounds, (req, res) => {
+    res.json({
+      code: req.roomCode,
+      sessions: groupSessions(req.rounds)
+    });
+  });
+
+  // Rodadas da sala, opcionalmente filtradas por sessão (?sessionId=)
+  router.get('/:code/rounds', loadRounds, (req, res) => {
+    res.json({
+      code: req.roomCode,
+      rounds: req.rounds
+    });
+  });
+
+  // Exportação de uma sala (?from=&to=&sessionId=&format=csv|json)
+  router.get('/:code/export', loadRounds, (req, res) => {
+    const range = parseDateRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const rounds = req.rounds.filter(round => isInRange(round, range));
+    sendExport(res, rounds, { format: req.query.format, filename: `planin-${req.roomCode}` });
+  });
+
+  return router;
+}
+
+module.exports = { createHistoryRouter };
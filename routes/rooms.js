@@ -0,0 +1,513 @@
+const express = require('express');
+const { serializeRoom, serializeParticipants, isProtectedRoom } = require('../lib/rooms');
+const { isRoundAction, serializeRound } = require('../lib/rounds');
+const backlog = require('../lib/backlog');
+const { parseBacklogFile } = require('../lib/backlogImport');
+const { validateRound } = require('../lib/history');
+const { analyzeVotes } = require('../lib/stats');
+const { validatePassword, hashPassword, verifyPassword } = require('../lib/roomAuth');
+
+// Verbos das ações de rodada, para as mensagens de erro
+const ACTION_LABELS = {
+  start: 'iniciar a votação',
+  reveal: 'revelar os votos',
+  revote: 'votar de novo',
+  finalize: 'finalizar a rodada'
+};
+
+// Rotas REST do registro de salas
+function createRoomsRouter({
+  rooms,
+  history,
+  decks,
+  roomTokens,
+  failedAttempts,
+  getClientIp,
+  isPeerConnected,
+  isPeerOwner,
+  checkRoomCapacity,
+  onPeerLeave,
+  onRoomClose,
+  onRoomCreated,
+  onRoundRecorded,
+  notifyRoom,
+  importMaxBytes,
+  logger
+}) {
+  const router = express.Router();
+
+  // Arquivos de importação chegam crus no corpo, com limite próprio (o JSON das demais
+  // rotas é limitado a 10kb)
+  const uploadParser = express.raw({ type: () => true, limit: importMaxBytes });
+
+  function readUpload(req, res, next) {
+    uploadParser(req, res, err => {
+      if (!err) return next();
+      if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: `Arquivo maior que o limite de ${importMaxBytes} bytes` });
+      }
+      res.status(400).json({ error: 'Não foi possível ler o arquivo enviado' });
+    });
+  }
+
+  // Exige o token de membro (header X-Room-Token) entregue na criação ou entrada da sala
+  function requireMember(req, res, next) {
+    const memberId = roomTokens.verifyMemberToken(req.get('X-Room-Token'), req.room);
+
+    if (!memberId || !req.room.participants.has(memberId)) {
+      return res.status(401).json({ error: 'Token de membro da sala ausente ou inválido' });
+    }
+    req.memberId = memberId;
+    next();
+  }
+
+  function requireHost(req, res, next) {
+    requireMember(req, res, () => {
+      if (req.memberId !== req.room.hostId) {
+        return res.status(403).json({ error: 'Apenas o host pode fazer isso' });
+      }
+      next();
+    });
+  }
+
+  // Valida senha ou convite de uma sala protegida. Retorna o motivo da recusa ou null
+  async function checkAccess(room, { password, inviteToken }) {
+    if (room.access.mode === 'open') return null;
+    if (inviteToken && roomTokens.verifyInvite(inviteToken, room)) return null;
+
+    if (room.access.mode === 'password') {
+      if (password === undefined && !inviteToken) return 'Senha ou convite obrigatório';
+      if (await verifyPassword(password, room.access.passwordHash)) return null;
+      return 'Senha ou convite inválido';
+    }
+
+    return inviteToken ? 'Convite inválido ou expirado' : 'Sala exige convite';
+  }
+
+  // Toda alteração da fila chega aos participantes pela sinalização
+  function notifyBacklog(room) {
+    notifyRoom(room, { type: 'BACKLOG-UPDATED', payload: { room: room.code, ...backlog.serializeBacklog(room.backlog) } });
+  }
+
+  // Rodadas sem nenhum voto não vão para o histórico
+  async function recordFinalizedRound(room, round) {
+    if (round.votes.length === 0) return null;
+
+    const record = await history.recordRound({
+      code: room.code,
+      sessionId: room.sessionId,
+      access: room.access.mode,
+      round: {
+        story: round.story || 'Sem título',
+        votes: round.votes.map(vote => ({
+          peerId: vote.peerId,
+          name: room.participants.has(vote.peerId) ? room.participants.get(vote.peerId).name : vote.peerId,
+          value: vote.value
+        })),
+        finalEstimate: round.finalEstimate,
+        revotes: round.revotes,
+        stats: round.stats,
+        startedAt: new Date(round.startedAt).toISOString(),
+        finishedAt: new Date(round.finalizedAt).toISOString()
+      }
+    });
+    onRoundRecorded(room, record);
+    return record;
+  }
+
+  // Um peer participa de uma sala por vez: ao criar ou entrar em outra, sai da anterior
+  // pelo mesmo caminho da desconexão (com migração de host ou encerramento da sala)
+  function leavePreviousRoom(peerId, room) {
+    const previous = rooms.getRoomByPeer(peerId);
+    if (previous && previous !== room) {
+      onPeerLeave(previous, peerId);
+    }
+  }
+
+  // Carregar a sala pelo código ou responder 404
+  router.param('code', (req, res, next, code) => {
+    const room = rooms.getRoom(code);
+    if (!room) {
+      return res.status(404).json({ error: 'Sala não existe' });
+    }
+    req.room = room;
+    next();
+  });
+
+  // Criar sala para um host já conectado ao servidor PeerJS.
+  // `deck` pode ser o id de um baralho (GET /decks) ou { name, values } só para esta sala.
+  // `password` ou `inviteOnly: true` tornam a sala protegida; `hiddenVotes: true` faz
+  // os votos passarem só pela API de votos
+  router.post('/', async (req, res) => {
+    const { hostId, peerToken, name, password, inviteOnly, hiddenVotes } = req.body || {};
+
+    if (typeof hostId !== 'string' || !hostId) {
+      return res.status(400).json({ error: 'hostId é obrigatório' });
+    }
+    if (!isPeerConnected(hostId)) {
+      return res.status(409).json({ error: 'Peer não está conectado ao servidor' });
+    }
+    if (!isPeerOwner(hostId, peerToken)) {
+      return res.status(401).json({ error: 'peerToken inválido para este peer' });
+    }
+
+    const { deck, error } = decks.resolveRoomDeck(req.body.deck);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    let access = { mode: 'open', passwordHash: null };
+    if (password !== undefined && password !== null && password !== '') {
+      const passwordError = validatePassword(password);
+      if (passwordError) {
+        return res.status(400).json({ error: passwordError });
+      }
+      access = { mode: 'password', passwordHash: await hashPassword(password) };
+    } else if (inviteOnly === true) {
+      access = { mode: 'invite', passwordHash: null };
+    }
+
+    leavePreviousRoom(hostId, null);
+    const room = rooms.createRoom({ hostId, name, deck, access, hiddenVotes });
+    onRoomCreated(room);
+    logger.info('Sala criada', {
+      requestId: req.id,
+      roomId: room.code,
+      peerId: hostId,
+      access: access.mode,
+      hiddenVotes: room.hiddenVotes
+    });
+
+    res.status(201).json({
+      ...serializeRoom(room, { includePrivate: true }),
+      memberToken: roomTokens.createMemberToken(room, hostId),
+      participants: serializeParticipants(room),
+      round: serializeRound(room, hostId)
+    });
+  });
+
+  // Consultar a sala pelo código curto (usado pelo campo de entrada do convidado)
+  router.get('/:code', (req, res) => {
+    res.json(serializeRoom(req.room));
+  });
+
+  // Listagem de peers restrita à sala: substitui a descoberta global do PeerJS
+  // (/peerjs/peers) e só mostra os participantes conectados à sinalização
+  router.get('/:code/peers', requireMember, (req, res) => {
+    res.json({
+      code: req.room.code,
+      peers: serializeParticipants(req.room).filter(participant => isPeerConnected(participant.peerId))
+    });
+  });
+
+  // Entrar na sala antes de abrir a conexão WebRTC com o host.
+  // Em salas protegidas o hostId só é devolvido com senha ou convite válido
+  router.post('/:code/join', async (req, res) => {
+    const { peerId, peerToken, name, password, inviteToken } = req.body || {};
+
+    if (typeof peerId !== 'string' || !peerId) {
+      return res.status(400).json({ error: 'peerId é obrigatório' });
+    }
+    if (!isPeerConnected(peerId)) {
+      return res.status(409).json({ error: 'Peer não está conectado ao servidor' });
+    }
+    if (!isPeerOwner(peerId, peerToken)) {
+      return res.status(401).json({ error: 'peerToken inválido para este peer' });
+    }
+
+    if (isProtectedRoom(req.room) && !req.room.participants.has(peerId)) {
+      const ip = getClientIp(req);
+      const attemptKey = `${ip}:${req.room.code}`;
+      const retryAfter = failedAttempts.retryAfter(attemptKey);
+
+      if (retryAfter > 0) {
+        logger.warn('Tentativa de acesso bloqueada', { requestId: req.id, roomId: req.room.code, peerId, ip });
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: 'Muitas tentativas inválidas. Tente novamente mais tarde.' });
+      }
+
+      const reason = await checkAccess(req.room, { password, inviteToken });
+      if (reason) {
+        const failures = failedAttempts.recordFailure(attemptKey);
+        logger.warn('Acesso negado à sala', { requestId: req.id, roomId: req.room.code, peerId, ip, failures, reason });
+        return res.status(401).json({ error: reason });
+      }
+
+      failedAttempts.reset(attemptKey);
+    }
+
+    const full = checkRoomCapacity(req.room, peerId);
+    if (full) {
+      logger.warn('Entrada recusada: sala cheia', { requestId: req.id, roomId: req.room.code, peerId, reason: full });
+      return res.status(409).json({ error: full });
+    }
+
+    leavePreviousRoom(peerId, req.room);
+    const participant = rooms.joinRoom(req.room.code, { peerId, name });
+
+    res.json({
+      ...serializeRoom(req.room, { includePrivate: true }),
+      memberToken: roomTokens.createMemberToken(req.room, peerId),
+      name: participant.name,
+      participants: serializeParticipants(req.room),
+      // Quem entra no meio da rodada já recebe a fase atual e a fila
+      round: serializeRound(req.room, peerId),
+      backlog: backlog.serializeBacklog(req.room.backlog)
+    });
+  });
+
+  // Sair da sala sem desconectar do servidor
+  router.post('/:code/leave', requireMember, (req, res) => {
+    onPeerLeave(req.room, req.memberId);
+    res.status(204).end();
+  });
+
+  // Convite assinado para salas protegidas (apenas o host). expiresIn em segundos
+  router.post('/:code/invites', requireHost, (req, res) => {
+    const { expiresIn } = req.body || {};
+
+    res.status(201).json(roomTokens.createInvite(req.room, expiresIn));
+  });
+
+  // Último estado conhecido da sala, para o host que assumir após uma migração
+  router.get('/:code/state', requireMember, (req, res) => {
+    res.json({
+      code: req.room.code,
+      hostId: req.room.hostId,
+      state: req.room.state,
+      updatedAt: req.room.stateUpdatedAt ? new Date(req.room.stateUpdatedAt).toISOString() : null
+    });
+  });
+
+  // O host publica periodicamente o estado da sala (usuários, votos, história atual)
+  router.post('/:code/state', requireHost, (req, res) => {
+    const { state } = req.body || {};
+
+    if (!state || typeof state !== 'object') {
+      return res.status(400).json({ error: 'state deve ser um objeto' });
+    }
+
+    rooms.setState(req.room.code, state);
+    res.status(204).end();
+  });
+
+  // Rodada atual: fase, história, transições e votos (valores só depois da revelação)
+  router.get('/:code/round', requireMember, (req, res) => {
+    res.json({ code: req.room.code, ...serializeRound(req.room, req.memberId) });
+  });
+
+  // Avança a rodada (apenas o host): start { story }, reveal, revote, finalize { finalEstimate }.
+  // Sem `story`, o start usa a história atual da fila. A sala recebe ROUND-PHASE pela
+  // sinalização a cada transição
+  router.post('/:code/round/:action', requireHost, async (req, res) => {
+    const { action } = req.params;
+    if (!isRoundAction(action)) {
+      return res.status(404).json({ error: `Ação de rodada desconhecida: ${action}` });
+    }
+
+    const { story, finalEstimate } = req.body || {};
+    const options = { story, finalEstimate };
+    const current = backlog.getCurrentStory(req.room.backlog);
+    if (action === 'start' && (story === undefined || story === null) && current) {
+      options.story = current.title;
+      options.storyId = current.id;
+    }
+
+    const phase = req.room.round.phase;
+    const round = rooms.transitionRound(req.room.code, action, options);
+    if (!round) {
+      return res.status(409).json({ error: `Não é possível ${ACTION_LABELS[action]} com a rodada em ${phase}` });
+    }
+
+    logger.info('Rodada atualizada', { requestId: req.id, roomId: req.room.code, action, phase: round.phase, roundId: round.id });
+    notifyRoom(req.room, { type: 'ROUND-PHASE', payload: { room: req.room.code, action, ...serializeRound(req.room) } });
+
+    const body = { code: req.room.code, ...serializeRound(req.room, req.memberId) };
+    if (action !== 'finalize') {
+      return res.json(body);
+    }
+
+    // A história da fila fica estimada e a próxima passa a ser a atual
+    if (round.storyId && rooms.updateBacklog(req.room.code, queue => backlog.completeStory(queue, round.storyId, round.finalEstimate))) {
+      notifyBacklog(req.room);
+    }
+
+    // Rodada finalizada vai direto para o histórico, com o número de re-votações
+    try {
+      body.record = await recordFinalizedRound(req.room, round);
+    } catch (err) {
+      logger.error('Falha ao gravar rodada', { requestId: req.id, roomId: req.room.code, error: err });
+      body.record = null;
+    }
+    res.json(body);
+  });
+
+  // Votar (ou trocar o voto) durante a votação sem que os outros participantes vejam
+  // o valor. A sala recebe VOTE-CAST pela sinalização, só com a lista de quem já votou
+  router.post('/:code/votes', requireMember, (req, res) => {
+    const { value } = req.body || {};
+    const card = value === undefined || value === null ? '' : String(value);
+
+    if (!req.room.deck.values.includes(card)) {
+      return res.status(400).json({ error: `Carta "${card}" não pertence ao baralho da sala` });
+    }
+    if (!rooms.castVote(req.room.code, req.memberId, card)) {
+      return res.status(409).json({ error: 'A rodada não está em votação' });
+    }
+
+    const round = serializeRound(req.room, req.memberId);
+    notifyRoom(req.room, {
+      type: 'VOTE-CAST',
+      payload: { room: req.room.code, roundId: round.id, peerId: req.memberId, voters: round.voters }
+    });
+    res.json({ code: req.room.code, ...round });
+  });
+
+  // Fila de histórias da sala, na ordem em que serão votadas
+  router.get('/:code/backlog', requireMember, (req, res) => {
+    res.json({ code: req.room.code, ...backlog.serializeBacklog(req.room.backlog) });
+  });
+
+  // Adiciona uma história ao fim da fila (apenas o host): { title, key, description, estimate }
+  router.post('/:code/backlog', requireHost, (req, res) => {
+    const { story, errors } = backlog.validateStory(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'História inválida', details: errors });
+    }
+    if (req.room.backlog.stories.length >= backlog.MAX_STORIES) {
+      return res.status(409).json({ error: `A fila já tem o máximo de ${backlog.MAX_STORIES} histórias` });
+    }
+
+    const [added] = rooms.updateBacklog(req.room.code, queue => backlog.addStories(queue, [story]));
+    notifyBacklog(req.room);
+    res.status(201).json(backlog.serializeStory(added));
+  });
+
+  // Importa histórias de um arquivo enviado no corpo (apenas o host): CSV ou a exportação
+  // JSON de issues do Jira ou do GitHub (?format=csv|jira|github, senão detecta sozinho).
+  // Linhas válidas entram no fim da fila; as inválidas voltam em `errors` com o número
+  // da linha (sem contar o cabeçalho) ou da issue no arquivo
+  router.post('/:code/backlog/import', requireHost, readUpload, (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: 'Envie o arquivo no corpo da requisição' });
+    }
+
+    const parsed = parseBacklogFile(req.body, {
+      format: req.query.format,
+      contentType: req.get('Content-Type'),
+      estimateField: req.query.estimateField
+    });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const keys = new Set(req.room.backlog.stories.map(story => story.key).filter(Boolean));
+    const capacity = backlog.MAX_STORIES - req.room.backlog.stories.length;
+    const accepted = [];
+    const errors = [];
+
+    parsed.rows.forEach(({ row, input, skip }) => {
+      const { story, errors: rowErrors } = backlog.validateStory(input);
+      const key = story ? story.key : input.key || null;
+
+      if (skip) {
+        rowErrors.push(skip);
+      } else if (story && story.key && keys.has(story.key)) {
+        rowErrors.push(`key ${story.key} já está na fila`);
+      } else if (story && accepted.length >= capacity) {
+        rowErrors.push(`A fila já tem o máximo de ${backlog.MAX_STORIES} histórias`);
+      }
+
+      if (rowErrors.length > 0) {
+        return errors.push({ row, key, errors: rowErrors });
+      }
+      if (story.key) keys.add(story.key);
+      accepted.push(story);
+    });
+
+    if (accepted.length === 0) {
+      return res.status(400).json({ error: 'Nenhuma história válida no arquivo', format: parsed.format, errors });
+    }
+
+    rooms.updateBacklog(req.room.code, queue => backlog.addStories(queue, accepted));
+    notifyBacklog(req.room);
+    logger.info('Fila de histórias importada', {
+      requestId: req.id,
+      roomId: req.room.code,
+      format: parsed.format,
+      imported: accepted.length,
+      rejected: errors.length
+    });
+
+    res.status(201).json({
+      code: req.room.code,
+      format: parsed.format,
+      imported: accepted.length,
+      errors,
+      ...backlog.serializeBacklog(req.room.backlog)
+    });
+  });
+
+  // Nova ordem da fila (apenas o host): { ids } com todas as histórias
+  router.post('/:code/backlog/reorder', requireHost, (req, res) => {
+    const { ids } = req.body || {};
+    if (!rooms.updateBacklog(req.room.code, queue => backlog.reorderStories(queue, ids))) {
+      return res.status(400).json({ error: 'ids deve listar todas as histórias da fila, sem repetir' });
+    }
+
+    notifyBacklog(req.room);
+    res.json({ code: req.room.code, ...backlog.serializeBacklog(req.room.backlog) });
+  });
+
+  // Escolhe a história atual (apenas o host)
+  router.post('/:code/backlog/:storyId/current', requireHost, (req, res) => {
+    if (!rooms.updateBacklog(req.room.code, queue => backlog.setCurrentStory(queue, req.params.storyId))) {
+      return res.status(404).json({ error: 'História não existe' });
+    }
+
+    notifyBacklog(req.room);
+    res.json({ code: req.room.code, ...backlog.serializeBacklog(req.room.backlog) });
+  });
+
+  router.delete('/:code/backlog/:storyId', requireHost, (req, res) => {
+    if (!rooms.updateBacklog(req.room.code, queue => backlog.removeStory(queue, req.params.storyId))) {
+      return res.status(404).json({ error: 'História não existe' });
+    }
+
+    notifyBacklog(req.room);
+    res.status(204).end();
+  });
+
+  // O host registra uma rodada finalizada no histórico
+  router.post('/:code/rounds', requireHost, async (req, res) => {
+    const { round, errors } = validateRound(req.body, { cardValues: req.room.deck.values });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Rodada inválida', details: errors });
+    }
+
+    try {
+      const record = await history.recordRound({
+        code: req.room.code,
+        sessionId: req.room.sessionId,
+        access: req.room.access.mode,
+        // Mesmas estatísticas da revelação pela API de rodadas
+        round: { ...round, stats: analyzeVotes(round.votes, req.room.deck.values) }
+      });
+      onRoundRecorded(req.room, record);
+      res.status(201).json(record);
+    } catch (err) {
+      logger.error('Falha ao gravar rodada', { requestId: req.id, roomId: req.room.code, error: err });
+      res.status(500).json({ error: 'Não foi possível gravar a rodada' });
+    }
+  });
+
+  // Encerrar a sala (apenas o host)
+  router.delete('/:code', requireHost, (req, res) => {
+    onRoomClose(req.room);
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+module.exports = { createRoomsRouter };
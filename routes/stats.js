@@ -0,0 +1,41 @@
+const express = require('express');
+const { MAX_DAYS } = require('../lib/visitorStats');
+
+const MIN_VISITOR_ID_LENGTH = 8;
+const MAX_VISITOR_ID_LENGTH = 128;
+
+// Estatísticas públicas de uso (visitantes únicos, salas criadas e votos)
+function createStatsRouter({ visitorStats, getClientIp }) {
+  const router = express.Router();
+
+  // ?days= define quantos dias entram em `daily` (padrão 30)
+  router.get('/', (req, res) => {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days, 10);
+    if (Number.isNaN(days) || days < 1 || days > MAX_DAYS) {
+      return res.status(400).json({ error: `days deve ser um número entre 1 e ${MAX_DAYS}` });
+    }
+
+    res.setHeader('Cache-Control', 'public, max-age=60');
+    res.json(visitorStats.summary({ days }));
+  });
+
+  // O frontend registra a visita com um visitorId aleatório guardado no navegador;
+  // sem ele, a visita é identificada por IP + User-Agent
+  router.post('/visits', (req, res) => {
+    const { visitorId } = req.body || {};
+
+    if (visitorId !== undefined && (typeof visitorId !== 'string' ||
+      visitorId.length < MIN_VISITOR_ID_LENGTH || visitorId.length > MAX_VISITOR_ID_LENGTH)) {
+      return res.status(400).json({
+        error: `visitorId deve ter entre ${MIN_VISITOR_ID_LENGTH} e ${MAX_VISITOR_ID_LENGTH} caracteres`
+      });
+    }
+
+    const counted = visitorStats.recordVisit(visitorId || `${getClientIp(req)}|${req.get('User-Agent') || ''}`);
+    res.json({ counted });
+  });
+
+  return router;
+}
+
+module.exports = { createStatsRouter };
@@ -2,15 +2,71 @@ const express = require('express');
 const { ExpressPeerServer } = require('peer');
 const cors = require('cors');
 const http = require('http');
+const url = require('url');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const os = require('os');
+const { createRoomRegistry, pickNextHost, isProtectedRoom, serializeRoom, serializeParticipants } = require('./lib/rooms');
+const { createSignaling } = require('./lib/signaling');
+const { createRelay } = require('./lib/relay');
+const { createHistoryStore } = require('./lib/history');
+const { createDeckRegistry } = require('./lib/decks');
+const { createRoomTokens, createFailedAttemptLimiter } = require('./lib/roomAuth');
+const { createRateLimiter, createRequestClassifier, DEFAULT_BUDGETS } = require('./lib/rateLimiter');
+const { createClientIpResolver } = require('./lib/clientIp');
+const { createUpgradeRouter } = require('./lib/upgrades');
+const { createConnectionCaps } = require('./lib/connectionCaps');
+const { createMetricsRegistry } = require('./lib/metrics');
+const { createEventLoopMonitor } = require('./lib/eventLoop');
+const { probePeerWebSocket } = require('./lib/health');
+const { createGracefulShutdown, FORCE_EXIT_DELAY } = require('./lib/shutdown');
+const { createLogger, parseComponentLevels, LEVELS } = require('./lib/logger');
+const { loadApiKeys, createApiKeyAuth } = require('./lib/apiKeys');
+const { createVisitorStats } = require('./lib/visitorStats');
+const { createStore } = require('./lib/store');
+const { createCluster } = require('./lib/cluster');
+const { createRoomsRouter } = require('./routes/rooms');
+const { createHistoryRouter } = require('./routes/history');
+const { createDecksRouter } = require('./routes/decks');
+const { createAdminRouter } = require('./routes/admin');
+const { createAdminApiRouter } = require('./routes/adminApi');
+const { createStatsRouter } = require('./routes/stats');
+const { createHealthRouter } = require('./routes/health');
+
+// Lê um inteiro positivo do ambiente, com valor padrão
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value <= 0 ? fallback : value;
+}
+
+// Avisos e erros mais recentes, exibidos no painel de administração
+const RECENT_ERRORS_LIMIT = 50;
+const recentErrors = [];
+
+// Logs em JSON, um logger por componente (LOG_LEVEL e LOG_LEVELS)
+const logger = createLogger({
+  level: process.env.LOG_LEVEL || (process.env.DEBUG === 'true' ? 'debug' : 'info'),
+  levels: parseComponentLevels(process.env.LOG_LEVELS),
+  onEntry: entry => {
+    if (entry.level !== 'warn' && entry.level !== 'error') return;
+    recentErrors.push(entry);
+    if (recentErrors.length > RECENT_ERRORS_LIMIT) recentErrors.shift();
+  }
+});
+const serverLog = logger.component('server');
+const httpLog = logger.component('http');
+const signalingLog = logger.component('signaling');
+const cleanupLog = logger.component('cleanup');
 
 // Configurações
 const PORT = process.env.PORT || 3000;
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
 const PEER_CONFIG = {
   debug: process.env.DEBUG === 'true',
   path: '/',
-  allow_discovery: true,
+  // A listagem global de peers fica desligada; use GET /rooms/:code/peers
+  allow_discovery: false,
   // Aumentando o timeout para melhorar conexões simultâneas
   alive_timeout: 120000, // 2 minutos
   key: 'peerjs',
@@ -23,42 +79,156 @@ const PEER_CONFIG = {
 
 const CORS_OPTIONS = {
   origin: ['http://localhost:3000', 'http://localhost:5500', 'http://127.0.0.1:5500', 'https://planin-back.onrender.com', 'https://www.planin2000.com', 'https://planin2000.com', '*'],
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Accept', 'Origin', 'X-Requested-With'],
-  exposedHeaders: ['Content-Length', 'Content-Type'],
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Accept', 'Origin', 'X-Requested-With', 'X-Room-Token', 'X-Request-Id'],
+  exposedHeaders: ['Content-Length', 'Content-Type', 'RateLimit-Policy', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After', 'X-Request-Id'],
   credentials: true
 };
 
 // Armazenamento de peers
 const connectedPeers = new Set();
-const peerTimestamps = new Map(); // Para monitorar atividade dos peers
+const peerTimestamps = new Map(); // peerId -> horário da conexão (define o próximo host)
+const peerActivity = new Map(); // peerId -> última mensagem ou heartbeat na sinalização
+const peerIps = new Map(); // peerId -> IP do cliente que abriu a sinalização
+// O PeerJS faz o handshake e emite 'connection' de forma síncrona dentro do upgrade,
+// então o IP resolvido fica aqui só durante essa chamada
+const pendingSignalingIps = new Map(); // peerId -> IP
 
-// Configuração para rate limiting
-const ipRequestCounts = new Map();
-const MAX_REQUESTS_PER_HOUR = 200; // Aumentado para comportar mais usuários
-const RATE_LIMIT_RESET_INTERVAL = 60 * 60 * 1000; // 1 hora em ms
+// Convites e tokens de membro assinados. Sem ROOM_TOKEN_SECRET, eles deixam de
+// valer quando o servidor reinicia
+const roomTokens = createRoomTokens({
+  secret: process.env.ROOM_TOKEN_SECRET || crypto.randomBytes(32).toString('hex')
+});
 
-// Função para limpar contadores de rate limit periodicamente
-setInterval(() => {
-  ipRequestCounts.clear();
-}, RATE_LIMIT_RESET_INTERVAL);
+// Registro de salas (código curto -> host e participantes)
+const rooms = createRoomRegistry();
+const signaling = createSignaling({ logger: signalingLog });
+const relay = createRelay({
+  rooms,
+  roomTokens,
+  checkRoomCapacity: (room, peerId, relayPeers) => connectionCaps.checkRoomConnections(room, peerId, relayPeers),
+  logger: logger.component('relay')
+});
 
-// Middleware para rate limiting
-function rateLimiter(req, res, next) {
-  const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
-  
-  if (!ipRequestCounts.has(ip)) {
-    ipRequestCounts.set(ip, 1);
-  } else {
-    const currentCount = ipRequestCounts.get(ip);
-    if (currentCount >= MAX_REQUESTS_PER_HOUR) {
-      return res.status(429).json({ 
-        error: 'Muitas requisições. Tente novamente mais tarde.' 
-      });
-    }
-    ipRequestCounts.set(ip, currentCount + 1);
+// Estado compartilhado entre instâncias: STORE=memory (padrão, uma instância) ou
+// STORE=redis com REDIS_URL. Salas e o diretório de peers são replicados e a
+// sinalização para peers de outra instância é encaminhada pelo armazenamento
+const INSTANCE_ID = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+const store = createStore({
+  type: process.env.STORE || 'memory',
+  redisUrl: process.env.REDIS_URL,
+  prefix: process.env.REDIS_PREFIX,
+  logger: logger.component('store')
+});
+const cluster = createCluster({ store, instanceId: INSTANCE_ID, rooms, logger: logger.component('cluster') });
+signaling.setRemoteSender(cluster.sendToRemotePeer);
+
+// Histórico de rodadas em disco (JSON-lines por sala)
+const history = createHistoryStore({ dir: path.join(DATA_DIR, 'history'), logger: logger.component('history') });
+
+// Baralhos embutidos e personalizados
+const decks = createDeckRegistry({ file: path.join(DATA_DIR, 'decks.json'), logger: logger.component('decks') });
+
+// Contador de visitantes, salas criadas e votos, gravado em disco
+const visitorStats = createVisitorStats({ file: path.join(DATA_DIR, 'stats.json'), logger: logger.component('stats') });
+
+// Tentativas de acesso inválidas (senha/convite) têm limite próprio por IP + sala
+const failedAttempts = createFailedAttemptLimiter({
+  maxAttempts: envInt('AUTH_MAX_FAILED_ATTEMPTS', 5),
+  windowMs: envInt('AUTH_FAILED_WINDOW_MS', 15 * 60 * 1000)
+});
+
+// IP do cliente atrás de proxies confiáveis. TRUST_PROXY aceita o mesmo formato do
+// `trust proxy` do Express; no Render há exatamente um proxy à frente do servidor
+const clientIp = createClientIpResolver(process.env.TRUST_PROXY || (process.env.RENDER ? '1' : 'loopback'));
+
+function getClientIp(req) {
+  return clientIp.resolve(req);
+}
+
+// Configuração para rate limiting: um orçamento por grupo de rotas, para que a
+// sinalização, o /status, os arquivos estáticos e o tráfego dentro das salas não
+// disputem o mesmo limite. Cada um pode ser ajustado com RATE_LIMIT_<NOME>_MAX e
+// RATE_LIMIT_<NOME>_WINDOW_MS (veja DEFAULT_BUDGETS em lib/rateLimiter.js)
+const MAX_REQUESTS_PER_HOUR = envInt('MAX_REQUESTS_PER_HOUR', DEFAULT_BUDGETS.api.max); // Orçamento da API
+const RATE_LIMIT_BUDGETS = Object.fromEntries(Object.entries(DEFAULT_BUDGETS).map(([name, budget]) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return [name, {
+    max: envInt(`${prefix}_MAX`, name === 'api' ? MAX_REQUESTS_PER_HOUR : budget.max),
+    windowMs: envInt(`${prefix}_WINDOW_MS`, budget.windowMs)
+  }];
+}));
+
+const requestClassifier = createRequestClassifier({
+  getRoomMember: (code, token) => {
+    const room = rooms.getRoom(code);
+    const peerId = room ? roomTokens.verifyMemberToken(token, room) : null;
+    return peerId ? `${room.code}:${peerId}` : null;
+  },
+  getClientIp
+});
+const classifyRequest = requestClassifier.classify;
+
+// Peers simultâneos por IP (verificado no upgrade da sinalização) e por sala
+// (verificado na entrada pela API, nas ofertas WebRTC e na conexão ao relay)
+const connectionCaps = createConnectionCaps({
+  maxPeersPerIp: envInt('MAX_PEERS_PER_IP', 20),
+  maxPeersPerRoom: envInt('MAX_PEERS_PER_ROOM', 50)
+});
+
+const rateLimiter = createRateLimiter({
+  budgets: RATE_LIMIT_BUDGETS,
+  classify: classifyRequest,
+  identify: requestClassifier.identify,
+  getClientIp,
+  logger: logger.component('ratelimit')
+});
+
+// Métricas para o Prometheus (GET /metrics)
+const eventLoop = createEventLoopMonitor();
+const metrics = createMetricsRegistry({ prefix: 'planin_' });
+
+metrics.gauge('connected_peers', 'Peers conectados à sinalização', { collect: () => connectedPeers.size });
+metrics.gauge('rooms', 'Salas abertas', { collect: () => rooms.size });
+metrics.gauge('relay_connections', 'Conexões abertas no relay', { collect: () => relay.size });
+metrics.gauge('cluster_instances', 'Instâncias vivas que compartilham o armazenamento', { collect: () => cluster.instanceCount });
+const peerConnects = metrics.counter('peer_connects_total', 'Peers que abriram a sinalização');
+const peerDisconnects = metrics.counter('peer_disconnects_total', 'Peers que fecharam a sinalização');
+const cleanupRemoved = metrics.counter('cleanup_removed_peers_total', 'Peers removidos pela limpeza de inativos');
+metrics.counter('rate_limit_rejections_total', 'Requisições recusadas pelo rate limit, por orçamento', {
+  collect: () => Object.entries(rateLimiter.rejections).map(([budget, value]) => ({ labels: { budget }, value }))
+});
+metrics.counter('connection_cap_rejections_total', 'Peers recusados pelos limites de conexão, por motivo', {
+  collect: () => Object.entries(connectionCaps.rejections).map(([reason, value]) => ({ labels: { reason }, value }))
+});
+const httpDuration = metrics.histogram('http_request_duration_seconds', 'Duração das requisições HTTP por rota');
+metrics.gauge('process_resident_memory_bytes', 'Memória residente do processo', { collect: () => process.memoryUsage().rss });
+metrics.gauge('process_heap_used_bytes', 'Heap do V8 em uso', { collect: () => process.memoryUsage().heapUsed });
+metrics.gauge('event_loop_lag_seconds', 'Atraso do event loop nos últimos 10 segundos', {
+  collect: () => {
+    const lag = eventLoop.current();
+    return [
+      { labels: { stat: 'mean' }, value: lag.meanMs / 1000 },
+      { labels: { stat: 'p99' }, value: lag.p99Ms / 1000 },
+      { labels: { stat: 'max' }, value: lag.maxMs / 1000 }
+    ];
   }
-  
+});
+
+// Rota usada como label: o padrão do Express (ex.: /rooms/:code/join) em vez da URL,
+// para não criar uma série por código de sala
+function routeLabel(req) {
+  if (req.route) return `${req.baseUrl}${req.route.path}`;
+  if (req.baseUrl) return req.baseUrl;
+  return classifyRequest(req) === 'static' ? 'static' : 'unmatched';
+}
+
+// Identificador da requisição: reaproveita o X-Request-Id do proxy quando é seguro,
+// devolve no header da resposta e acompanha todas as linhas de log da requisição
+function requestId(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.setHeader('X-Request-Id', req.id);
   next();
 }
 
@@ -69,18 +239,35 @@ function performanceLogger(req, res, next) {
   res.on('finish', () => {
     const [seconds, nanoseconds] = process.hrtime(start);
     const ms = seconds * 1000 + nanoseconds / 1000000;
+
+    httpDuration.observe({ method: req.method, route: routeLabel(req), status: res.statusCode }, ms / 1000);
     
-    // Apenas logar requisições lentas (>100ms)
+    // Requisições lentas (>100ms) em info; as demais só com o nível debug
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      url: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(ms * 100) / 100
+    };
     if (ms > 100) {
-      console.log(`[PERF] ${req.method} ${req.originalUrl} completed in ${ms.toFixed(2)}ms`);
+      httpLog.info('Requisição lenta', fields);
+    } else {
+      httpLog.debug('Requisição concluída', fields);
     }
   });
   
   next();
 }
 
+// Painel de administração (autenticado pelo navegador com HTTP Basic)
+function isAdminPath(req) {
+  return req.path === '/admin' || req.path.startsWith('/admin/');
+}
+
 // Configuração do servidor Express
 const app = express();
+app.set('trust proxy', clientIp.trust); // Mantém req.ip coerente com getClientIp
 
 // Middleware para adicionar cabeçalhos de segurança
 app.use((req, res, next) => {
@@ -89,11 +276,15 @@ app.use((req, res, next) => {
   res.setHeader('X-Content-Type-Options', 'nosniff');
   res.setHeader('Referrer-Policy', 'strict-origin-when-cross-origin');
   
-  // Adicionar cabeçalhos CORS explícitos para garantir acesso do domínio em produção
-  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Origin, X-Requested-With');
-  res.setHeader('Access-Control-Allow-Credentials', 'true');
+  // Adicionar cabeçalhos CORS explícitos para garantir acesso do domínio em produção.
+  // O painel de administração fica de fora: o navegador reenvia as credenciais Basic
+  // e outra origem conseguiria ler /admin/overview
+  if (!isAdminPath(req)) {
+    res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Origin, X-Requested-With, X-Room-Token, X-Request-Id');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+  }
   
   // Adicionar cabeçalhos específicos para WebSockets
   if (req.headers.upgrade && req.headers.upgrade.toLowerCase() === 'websocket') {
@@ -105,9 +296,15 @@ app.use((req, res, next) => {
   next();
 });
 
-app.use(cors(CORS_OPTIONS));
-app.use(express.json({ limit: '10kb' })); // Limitar tamanho do corpo das requisições
-app.use(rateLimiter); // Aplicar rate limiting em todas as rotas
+app.use(requestId);
+const corsMiddleware = cors(CORS_OPTIONS);
+app.use((req, res, next) => (isAdminPath(req) ? next() : corsMiddleware(req, res, next)));
+// Limitar tamanho do corpo das requisições. A importação da fila de histórias lê o
+// arquivo com limite próprio (BACKLOG_IMPORT_MAX_BYTES)
+const BACKLOG_IMPORT_PATH = /^\/rooms\/[^/]+\/backlog\/import$/;
+const jsonParser = express.json({ limit: '10kb' });
+app.use((req, res, next) => (BACKLOG_IMPORT_PATH.test(req.path) ? next() : jsonParser(req, res, next)));
+app.use(rateLimiter.middleware); // Aplicar rate limiting em todas as rotas
 app.use(performanceLogger); // Adicionar logger de performance
 
 // Ajustar timeout do servidor
@@ -121,17 +318,27 @@ const peerServer = ExpressPeerServer(server, PEER_CONFIG);
 // Manipuladores de eventos do PeerJS
 function handlePeerConnection(client) {
   const id = client.getId ? client.getId() : client.id;
+  const ip = pendingSignalingIps.get(id) || peerIps.get(id) || 'desconhecido';
+
   connectedPeers.add(id);
   peerTimestamps.set(id, Date.now());
+  peerActivity.set(id, Date.now());
+  peerIps.set(id, ip);
+  signaling.register(client);
+  cluster.peerConnected(id, { token: client.getToken(), connectedAt: peerTimestamps.get(id) });
+  peerConnects.inc();
   
   // Log de diagnóstico
   const connectedCount = connectedPeers.size;
-  console.log(`Peer conectado: ${id} (Total: ${connectedCount})`);
+  signalingLog.info('Peer conectado', { peerId: id, ip, total: connectedCount });
   
   // Verificar carga do servidor se o número de conexões estiver alto
   if (connectedCount > 30) {
     const memoryUsage = process.memoryUsage();
-    console.log(`[MONITOR] Conexões: ${connectedCount}, Memória: ${Math.round(memoryUsage.rss / 1024 / 1024)}MB`);
+    serverLog.warn('Muitas conexões simultâneas', {
+      connections: connectedCount,
+      rssMb: Math.round(memoryUsage.rss / 1024 / 1024)
+    });
   }
 }
 
@@ -139,24 +346,395 @@ function handlePeerDisconnect(client) {
   const id = client.getId ? client.getId() : client.id;
   connectedPeers.delete(id);
   peerTimestamps.delete(id);
-  console.log(`Peer desconectado: ${id} (Total: ${connectedPeers.size})`);
+  peerActivity.delete(id);
+  peerIps.delete(id);
+  signaling.unregister(client);
+  cluster.peerDisconnected(id);
+  peerDisconnects.inc();
+  signalingLog.info('Peer desconectado', { peerId: id, total: connectedPeers.size });
+
+  const room = rooms.getRoomByPeer(id);
+  if (room) {
+    departRoom(room, id);
+  }
+}
+
+// Peers de uma instância que caiu ou encerrou saem das salas como numa desconexão,
+// com migração de host (feito por uma instância só, veja lib/cluster.js)
+cluster.onPeersGone(peerIds => {
+  peerIds.forEach(peerId => {
+    const room = rooms.getRoomByPeer(peerId);
+    if (room) {
+      signalingLog.info('Peer de outra instância removido da sala', { peerId, roomId: room.code });
+      departRoom(room, peerId);
+    }
+  });
+});
+
+// Remove o peer da sala; se era o host, promove o participante conectado há mais
+// tempo e avisa todos pelo socket de sinalização para que a sessão continue
+function departRoom(room, peerId) {
+  relay.disconnectPeer(peerId);
+
+  if (room.hostId !== peerId) {
+    rooms.leaveRoom(room.code, peerId);
+    return;
+  }
+
+  const newHostId = pickNextHost(room, peerConnectedAt);
+  rooms.leaveRoom(room.code, peerId);
+
+  if (!newHostId) {
+    closeRoom(room, 'sem participantes conectados');
+    return;
+  }
+
+  rooms.setHost(room.code, newHostId);
+  signalingLog.info('Host da sala migrado', { roomId: room.code, peerId: newHostId, previousHostId: peerId });
+
+  signaling.notifyRoom(room, {
+    type: 'HOST-MIGRATED',
+    payload: {
+      room: room.code,
+      hostId: newHostId,
+      previousHostId: peerId,
+      state: room.state,
+      stateUpdatedAt: room.stateUpdatedAt ? new Date(room.stateUpdatedAt).toISOString() : null
+    }
+  });
+}
+
+// Horário de conexão de um peer desta ou de outra instância (undefined se desconectado)
+function peerConnectedAt(peerId) {
+  if (peerTimestamps.has(peerId)) return peerTimestamps.get(peerId);
+  const remote = cluster.remotePeer(peerId);
+  return remote ? remote.connectedAt : undefined;
+}
+
+function isPeerConnected(peerId) {
+  return connectedPeers.has(peerId) || Boolean(cluster.remotePeer(peerId));
+}
+
+function isPeerOwner(peerId, token) {
+  return signaling.isPeerOwner(peerId, token) || cluster.isRemotePeerOwner(peerId, token);
+}
+
+// Mensagens WebRTC que o PeerJS repassa entre peers; com o destino em outra instância
+// elas seguem pelo armazenamento compartilhado
+const FORWARDED_SIGNALS = ['OFFER', 'ANSWER', 'CANDIDATE', 'LEAVE', 'EXPIRE'];
+
+// Em salas protegidas, só participantes podem iniciar conexão com os peers da sala:
+// ofertas de quem não entrou pela API são descartadas e o remetente recebe EXPIRE,
+// o mesmo aviso do PeerJS para peer indisponível
+signaling.setMessageFilter((client, message) => {
+  if (!message.dst) return true;
+
+  if (message.type === 'OFFER') {
+    const room = rooms.getRoomByPeer(message.dst);
+    if (room && isProtectedRoom(room) && !room.participants.has(client.getId())) {
+      signalingLog.warn('Oferta bloqueada em sala protegida', { peerId: client.getId(), dst: message.dst, roomId: room.code });
+      client.send({ type: 'EXPIRE', src: message.dst, dst: client.getId() });
+      return false;
+    }
+    // Quem não passou pelo /join também não entra por WebRTC numa sala cheia
+    const rejection = room && connectionCaps.checkRoom(room, client.getId());
+    if (rejection) {
+      signalingLog.warn('Oferta bloqueada em sala cheia', { peerId: client.getId(), dst: message.dst, roomId: room.code });
+      client.send({ type: 'EXPIRE', src: message.dst, dst: client.getId() });
+      return false;
+    }
+  }
+
+  if (FORWARDED_SIGNALS.includes(message.type) && !signaling.getClient(message.dst)) {
+    return !cluster.sendToRemotePeer(message.dst, { ...message, src: client.getId() });
+  }
+
+  return true;
+});
+
+// Mensagens encaminhadas por outras instâncias só vão para peers conectados aqui
+cluster.onSignal((peerId, message) => {
+  if (!signaling.sendToLocalPeer(peerId, message)) {
+    signalingLog.debug('Peer de destino não está mais nesta instância', { peerId, type: message && message.type });
+  }
+});
+
+// Todo encerramento (host, administrador, sala sem ninguém conectado) avisa os
+// participantes pela sinalização antes de remover a sala
+function closeRoom(room, reason) {
+  signaling.notifyRoom(room, { type: 'ROOM-CLOSED', payload: { room: room.code, reason: `Sala encerrada ${reason}` } });
+  rooms.closeRoom(room.code);
+  relay.closeRoom(room.code);
+  serverLog.info('Sala encerrada', { roomId: room.code, reason });
+}
+
+// Qualquer mensagem conta como atividade, inclusive o HEARTBEAT que o cliente PeerJS
+// envia a cada poucos segundos enquanto a aba está aberta
+function handlePeerMessage(client) {
+  const id = client.getId();
+  if (connectedPeers.has(id)) {
+    peerActivity.set(id, Date.now());
+  }
 }
 
 peerServer.on('connection', handlePeerConnection);
 peerServer.on('disconnect', handlePeerDisconnect);
+peerServer.on('message', handlePeerMessage);
 
 // Rotas
 app.use('/peerjs', peerServer);
 
+// O servidor WebSocket do PeerJS é criado quando o app é montado: o roteador de
+// upgrade precisa vir depois, para reconhecer o listener dele como destino padrão.
+const upgrades = createUpgradeRouter(server);
+upgrades.use(relay.handles, relay.handleUpgrade);
+// O limite por IP é verificado antes do PeerJS registrar o cliente, então quem é
+// recusado nunca recebe OPEN
+upgrades.wrapPassThrough((req, next, reject) => {
+  const { id } = url.parse(req.url, true).query;
+  if (typeof id !== 'string') return next();
+
+  const ip = getClientIp(req);
+  const rejection = connectionCaps.checkIp(id, ip, peerIps);
+  if (rejection) {
+    signalingLog.warn('Peer recusado pelo limite de conexões', { peerId: id, ip, reason: rejection });
+    return reject(429, rejection);
+  }
+
+  pendingSignalingIps.set(id, ip);
+  try {
+    next();
+  } finally {
+    pendingSignalingIps.delete(id);
+  }
+});
+relay.start();
+
+app.use('/rooms', createRoomsRouter({
+  rooms,
+  history,
+  decks,
+  roomTokens,
+  failedAttempts,
+  getClientIp,
+  isPeerConnected,
+  isPeerOwner,
+  checkRoomCapacity: connectionCaps.checkRoom,
+  onPeerLeave: departRoom,
+  onRoomClose: room => closeRoom(room, 'pelo host'),
+  onRoomCreated: () => visitorStats.recordRoomCreated(),
+  onRoundRecorded: (room, round) => visitorStats.recordVotes(round.votes.length),
+  notifyRoom: signaling.notifyRoom,
+  importMaxBytes: envInt('BACKLOG_IMPORT_MAX_BYTES', 512 * 1024),
+  logger: logger.component('rooms')
+}));
+app.use('/history', createHistoryRouter({ history, roomTokens, logger: logger.component('history') }));
+app.use('/decks', createDecksRouter({ decks }));
+app.use('/stats', createStatsRouter({ visitorStats, getClientIp }));
+
 // Endpoint para status do servidor
 app.get('/status', (req, res) => {
   res.json({
     status: 'ok',
+    instanceId: INSTANCE_ID,
+    store: store.type,
+    instances: cluster.instanceCount,
     connections: connectedPeers.size,
+    rooms: rooms.size,
+    relayConnections: relay.size,
+    connectionLimits: connectionCaps.limits,
+    lastCleanup,
+    rejectedConnections: connectionCaps.rejections,
     uptime: process.uptime()
   });
 });
 
+// Métricas no formato do Prometheus. Com METRICS_TOKEN definido, o scrape precisa
+// enviar Authorization: Bearer <token>
+app.get('/metrics', (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token) {
+    const expected = Buffer.from(`Bearer ${token}`);
+    const received = Buffer.from(req.get('Authorization') || '');
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return res.status(401).json({ error: 'Token de métricas ausente ou inválido' });
+    }
+  }
+
+  res.set('Content-Type', metrics.contentType);
+  res.send(metrics.render());
+});
+
+// Dados de um peer conectado para o painel e a API de administração
+function describePeer(peerId) {
+  return {
+    ip: peerIps.get(peerId) || null,
+    connectedAt: peerTimestamps.has(peerId) ? new Date(peerTimestamps.get(peerId)).toISOString() : null,
+    lastActivityAt: peerActivity.has(peerId) ? new Date(peerActivity.get(peerId)).toISOString() : null,
+    relay: relay.has(peerId)
+  };
+}
+
+// Painel de administração em /admin (desligado sem ADMIN_PASSWORD)
+function getAdminOverview() {
+  return {
+    generatedAt: new Date().toISOString(),
+    stats: {
+      connections: connectedPeers.size,
+      rooms: rooms.size,
+      relayConnections: relay.size,
+      uptime: process.uptime()
+    },
+    rooms: rooms.listRooms().map(room => ({
+      ...serializeRoom(room, { includePrivate: true }),
+      participants: serializeParticipants(room).map(participant => ({
+        ...participant,
+        ...describePeer(participant.peerId)
+      }))
+    })),
+    peers: [...connectedPeers]
+      .filter(peerId => !rooms.getRoomByPeer(peerId))
+      .map(peerId => ({ peerId, ...describePeer(peerId) })),
+    rateLimited: rateLimiter.listLimited(),
+    recentErrors
+  };
+}
+
+// Expulsa o peer da sinalização. ERROR faz o cliente PeerJS encerrar sem tentar reconectar
+function kickPeer(peerId, reason) {
+  const client = signaling.getClient(peerId);
+  if (!client) return false;
+
+  client.send({ type: 'ERROR', payload: { msg: reason } });
+  const socket = client.getSocket();
+  if (socket) socket.close();
+  relay.disconnectPeer(peerId);
+  return true;
+}
+
+// Encerra a sala avisando os participantes pela sinalização
+function closeRoomByAdmin(code) {
+  const room = rooms.getRoom(code);
+  if (!room) return false;
+
+  closeRoom(room, 'pelo administrador');
+  return true;
+}
+
+if (process.env.ADMIN_PASSWORD) {
+  app.use('/admin', createAdminRouter({
+    username: process.env.ADMIN_USER || 'admin',
+    password: process.env.ADMIN_PASSWORD,
+    failedAttempts,
+    getClientIp,
+    getOverview: getAdminOverview,
+    kickPeer: peerId => kickPeer(peerId, 'Desconectado pelo administrador'),
+    closeRoom: closeRoomByAdmin,
+    clearRateLimit: rateLimiter.reset,
+    logger: logger.component('admin')
+  }));
+}
+
+// API de administração em /api/admin (desligada sem chaves configuradas)
+const apiKeys = createApiKeyAuth({
+  keys: loadApiKeys({
+    envValue: process.env.ADMIN_API_KEYS,
+    file: process.env.ADMIN_API_KEYS_FILE,
+    logger: logger.component('admin')
+  })
+});
+
+function getRuntimeSettings() {
+  return {
+    maxRequestsPerHour: rateLimiter.budgets.api.max,
+    peerInactiveTimeoutMs: cleanupSettings.inactiveTimeoutMs,
+    logLevels: logger.levels()
+  };
+}
+
+// Valida tudo antes de aplicar, para não deixar a alteração pela metade
+function updateRuntimeSettings({ maxRequestsPerHour, peerInactiveTimeoutMs, logLevels }) {
+  const isIntegerIn = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+  if (maxRequestsPerHour !== undefined && !isIntegerIn(maxRequestsPerHour, 1, 100000)) {
+    return { error: 'maxRequestsPerHour deve ser um inteiro entre 1 e 100000' };
+  }
+  if (peerInactiveTimeoutMs !== undefined && !isIntegerIn(peerInactiveTimeoutMs, 60 * 1000, 24 * 60 * 60 * 1000)) {
+    return { error: 'peerInactiveTimeoutMs deve ser um inteiro entre 60000 (1 min) e 86400000 (24 h)' };
+  }
+  // { componente: nível }, ex.: { "signaling": "debug" }
+  if (logLevels !== undefined && (
+    !logLevels || typeof logLevels !== 'object' || Array.isArray(logLevels) ||
+    !Object.values(logLevels).every(level => Object.prototype.hasOwnProperty.call(LEVELS, level))
+  )) {
+    return { error: `logLevels deve mapear componentes para um destes níveis: ${Object.keys(LEVELS).join(', ')}` };
+  }
+
+  if (maxRequestsPerHour !== undefined) rateLimiter.budgets.api.max = maxRequestsPerHour;
+  if (peerInactiveTimeoutMs !== undefined) cleanupSettings.inactiveTimeoutMs = peerInactiveTimeoutMs;
+  if (logLevels !== undefined) {
+    Object.entries(logLevels).forEach(([component, level]) => logger.setLevel(component, level));
+  }
+
+  return { settings: getRuntimeSettings() };
+}
+
+if (apiKeys.size > 0) {
+  app.use('/api/admin', createAdminApiRouter({
+    apiKeys,
+    failedAttempts,
+    getClientIp,
+    listPeers: () => [...connectedPeers].map(peerId => {
+      const room = rooms.getRoomByPeer(peerId);
+      return { peerId, room: room ? room.code : null, ...describePeer(peerId) };
+    }),
+    disconnectPeer: peerId => kickPeer(peerId, 'Desconectado pelo administrador'),
+    rateLimiter,
+    getSettings: getRuntimeSettings,
+    updateSettings: updateRuntimeSettings,
+    runCleanup: sweepInactivePeers,
+    history,
+    decks,
+    logger: logger.component('admin')
+  }));
+}
+
+// Prontidão: a sinalização aceita sockets, event loop e memória abaixo dos limites
+// e o servidor não está sendo encerrado
+const READY_MAX_EVENT_LOOP_LAG_MS = envInt('READY_MAX_EVENT_LOOP_LAG_MS', 200);
+const READY_MAX_MEMORY_MB = envInt('READY_MAX_MEMORY_MB', 450); // Instância do Render tem 512MB
+
+app.use('/health', createHealthRouter({
+  readinessChecks: {
+    signaling: async () => {
+      if (!server.listening) return { ok: false, reason: 'Servidor ainda não está ouvindo' };
+      return probePeerWebSocket({ port: server.address().port, path: '/peerjs/peerjs' });
+    },
+    eventLoop: async () => {
+      const { p99Ms } = eventLoop.current();
+      const ok = p99Ms <= READY_MAX_EVENT_LOOP_LAG_MS;
+      return {
+        ok,
+        reason: ok ? undefined : `Atraso do event loop (p99 ${p99Ms.toFixed(1)}ms) acima de ${READY_MAX_EVENT_LOOP_LAG_MS}ms`,
+        p99Ms: Math.round(p99Ms * 10) / 10,
+        limitMs: READY_MAX_EVENT_LOOP_LAG_MS
+      };
+    },
+    memory: async () => {
+      const rssMb = Math.round(process.memoryUsage().rss / 1024 / 1024);
+      const ok = rssMb <= READY_MAX_MEMORY_MB;
+      return {
+        ok,
+        reason: ok ? undefined : `Memória (${rssMb}MB) acima de ${READY_MAX_MEMORY_MB}MB`,
+        rssMb,
+        limitMb: READY_MAX_MEMORY_MB
+      };
+    },
+    store: async () => (cluster.ready ? { ok: true } : { ok: false, reason: 'Armazenamento compartilhado indisponível' }),
+    draining: async () => (gracefulShutdown.draining ? { ok: false, reason: 'Servidor em encerramento' } : { ok: true })
+  }
+}));
+
 // Servir arquivos estáticos do frontend
 app.use(express.static(path.join(__dirname, '../planin-front')));
 
@@ -166,39 +744,124 @@ app.get('/', (req, res) => {
 
 // Detectar e limpar peers inativos
 const PEER_CLEANUP_INTERVAL = 5 * 60 * 1000; // 5 minutos
-const PEER_INACTIVE_TIMEOUT = 30 * 60 * 1000; // 30 minutos
+// O tempo de inatividade pode ser alterado pela API de administração
+const cleanupSettings = {
+  inactiveTimeoutMs: envInt('PEER_INACTIVE_TIMEOUT_MS', 30 * 60 * 1000) // 30 minutos
+};
 
-setInterval(() => {
+let lastCleanup = null;
+
+// Desconecta de fato os peers sem nenhuma mensagem no período: o socket é encerrado e o
+// PeerJS emite 'disconnect', que limpa os registros e a sala em handlePeerDisconnect
+function sweepInactivePeers() {
   const now = Date.now();
-  let inactivePeers = 0;
-  
-  peerTimestamps.forEach((timestamp, id) => {
-    if (now - timestamp > PEER_INACTIVE_TIMEOUT) {
-      // Peer inativo por mais de 30 minutos
+  const evicted = [];
+
+  peerActivity.forEach((lastActivity, id) => {
+    if (now - lastActivity <= cleanupSettings.inactiveTimeoutMs) return;
+
+    const client = signaling.getClient(id);
+    const socket = client && client.getSocket();
+    evicted.push(id);
+    cleanupLog.debug('Peer inativo desconectado', { peerId: id, idleMs: now - lastActivity });
+
+    if (socket) {
+      socket.terminate();
+    } else if (client) {
+      handlePeerDisconnect(client);
+    } else {
+      // Registro órfão, sem client no PeerJS
       connectedPeers.delete(id);
       peerTimestamps.delete(id);
-      inactivePeers++;
+      peerActivity.delete(id);
+      peerIps.delete(id);
     }
   });
-  
-  if (inactivePeers > 0) {
-    console.log(`[CLEANUP] Removidos ${inactivePeers} peers inativos`);
+
+  lastCleanup = {
+    at: new Date(now).toISOString(),
+    evicted: evicted.length,
+    active: connectedPeers.size - evicted.filter(id => connectedPeers.has(id)).length
+  };
+
+  if (evicted.length > 0) {
+    cleanupRemoved.inc({}, evicted.length);
+  }
+  cleanupLog.info('Limpeza de peers inativos concluída', { evicted: lastCleanup.evicted, active: lastCleanup.active });
+
+  return lastCleanup;
+}
+
+setInterval(sweepInactivePeers, PEER_CLEANUP_INTERVAL);
+
+// Encerramento gracioso: o Render envia SIGTERM no deploy e espera até 30s antes do
+// SIGKILL. O período de graça mais a saída forçada (FORCE_EXIT_DELAY) precisam caber
+// nesse prazo, então o padrão é 20s + 5s
+const SHUTDOWN_GRACE_MS = envInt('SHUTDOWN_GRACE_MS', 20000);
+const SIGKILL_TIMEOUT_MS = 30000;
+if (SHUTDOWN_GRACE_MS + FORCE_EXIT_DELAY >= SIGKILL_TIMEOUT_MS) {
+  serverLog.warn('SHUTDOWN_GRACE_MS não cabe antes do SIGKILL do Render', {
+    graceMs: SHUTDOWN_GRACE_MS,
+    forceExitMs: FORCE_EXIT_DELAY,
+    sigkillMs: SIGKILL_TIMEOUT_MS
+  });
+}
+
+const gracefulShutdown = createGracefulShutdown({
+  graceMs: SHUTDOWN_GRACE_MS,
+  beginDrain: () => {
+    upgrades.stopAccepting();
+
+    const notice = {
+      type: 'SERVER-RESTARTING',
+      payload: { closesAt: new Date(Date.now() + SHUTDOWN_GRACE_MS).toISOString() }
+    };
+    const notified = signaling.broadcast(notice);
+    relay.broadcastAll(notice);
+    serverLog.info('Peers avisados do reinício', { notified });
+  },
+  isIdle: () => connectedPeers.size === 0 && relay.size === 0,
+  logger: logger.component('shutdown'),
+  close: callback => {
+    signaling.closeAll(1001, 'Servidor reiniciando');
+    relay.closeAll(1001, 'Servidor reiniciando');
+    server.close(err => {
+      // Contagens de visitantes ainda não gravadas e saída do diretório compartilhado
+      Promise.all([visitorStats.flush(), cluster.stop()])
+        .then(() => store.close())
+        .then(() => callback(err), callback);
+    });
+    server.closeIdleConnections();
   }
-}, PEER_CLEANUP_INTERVAL);
+});
+
+process.on('SIGTERM', () => gracefulShutdown.shutdown('SIGTERM'));
+process.on('SIGINT', () => gracefulShutdown.shutdown('SIGINT'));
 
 // Handler para erros não tratados
 process.on('uncaughtException', (err) => {
-  console.error('Erro não tratado:', err);
+  serverLog.error('Erro não tratado', { error: err });
   // Continuar executando - não encerrar o processo
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('Promessa rejeitada não tratada:', reason);
+  serverLog.error('Promessa rejeitada não tratada', { error: reason });
   // Continuar executando - não encerrar o processo
 });
 
-// Inicializar servidor
+// Inicializar servidor. Sem o armazenamento, a instância atende sozinha e o
+// /health/ready responde 503 até a conexão dar certo
+const STORE_RETRY_INTERVAL = 5000;
+
+function startCluster() {
+  cluster.start().catch(err => {
+    serverLog.error('Falha ao conectar ao armazenamento compartilhado', { store: store.type, error: err.message });
+    setTimeout(startCluster, STORE_RETRY_INTERVAL).unref();
+  });
+}
+
+startCluster();
+
 server.listen(PORT, () => {
-  console.log(`Servidor PeerJS rodando na porta ${PORT}`);
-  console.log(`Modo: ${process.env.NODE_ENV || 'development'}`);
+  serverLog.info('Servidor PeerJS rodando', { port: Number(PORT), mode: process.env.NODE_ENV || 'development' });
 });
@@ -0,0 +1,132 @@
+const assert = require('assert');
+const colors = require('colors');
+const { parseCsv, toCsv } = require('../lib/csv');
+const { parseBacklogFile } = require('../lib/backlogImport');
+
+// Leitura de CSV e dos arquivos importados para a fila de histórias, sem servidor
+function check(name, fn) {
+  fn();
+  console.log(colors.green(`  ✓ ${name}`));
+}
+
+function parse(content, options) {
+  return parseBacklogFile(Buffer.from(typeof content === 'string' ? content : JSON.stringify(content)), options);
+}
+
+function inputs(result) {
+  return result.rows.map(row => row.input);
+}
+
+console.log(colors.cyan('\nCSV'));
+
+check('Separador `,`', () => {
+  assert.deepStrictEqual(parseCsv('a,b,c;d\n1,2,3;4\n'), [['a', 'b', 'c;d'], ['1', '2', '3;4']]);
+});
+
+check('Separador `;` (Excel pt-BR), decidido pela primeira linha', () => {
+  assert.deepStrictEqual(parseCsv('a;b;c,d\r\n1;2,5;3'), [['a', 'b', 'c,d'], ['1', '2,5', '3']]);
+  // Empate fica com `,`
+  assert.deepStrictEqual(parseCsv('a;b,c'), [['a;b', 'c']]);
+});
+
+check('Campos entre aspas com separador, aspas e quebras de linha', () => {
+  const rows = parseCsv('title,description\n"Login, SSO","linha 1\nlinha 2 ""citada"""\n"CRLF","a\r\nb"\r\n');
+  assert.deepStrictEqual(rows, [
+    ['title', 'description'],
+    ['Login, SSO', 'linha 1\nlinha 2 "citada"'],
+    ['CRLF', 'a\r\nb']
+  ]);
+});
+
+check('BOM, linhas em branco e campos vazios', () => {
+  assert.deepStrictEqual(parseCsv('\ufeffa,b\n\n1,\n ,\n,2'), [['a', 'b'], ['1', ''], ['', '2']]);
+});
+
+check('Aspas não fechadas', () => {
+  assert.throws(() => parseCsv('title\n"Sem fim\n'), /Aspas não fechadas/);
+});
+
+check('Lê de volta o que a exportação gera', () => {
+  const columns = [{ header: 'title', value: row => row.title }, { header: 'notes', value: row => row.notes }];
+  const rows = [{ title: 'Vírgula, "aspas"', notes: 'duas\nlinhas' }];
+  assert.deepStrictEqual(parseCsv(toCsv(rows, columns)), [['title', 'notes'], ['Vírgula, "aspas"', 'duas\nlinhas']]);
+});
+
+console.log(colors.cyan('\nImportação da fila'));
+
+check('CSV do Jira com `;`, aliases de cabeçalho e fórmula escapada', () => {
+  const result = parse('\ufeffIssue key;Summary;Custom field (Story Points);Descrição\nPLN-1;\'=Login;5;"Texto; com separador"\n', {});
+  assert.strictEqual(result.format, 'csv');
+  assert.deepStrictEqual(inputs(result), [{ key: 'PLN-1', title: '=Login', estimate: '5', description: 'Texto; com separador' }]);
+  assert.strictEqual(result.rows[0].row, 1);
+});
+
+check('CSV sem coluna de título ou vazio', () => {
+  assert.ok(/Nenhuma coluna de título/.test(parse('key,points\nA-1,3\n').error));
+  assert.strictEqual(parse('\n\n', { format: 'csv' }).error, 'CSV vazio');
+  assert.strictEqual(parse('title\n"aberta\n').error, 'Aspas não fechadas no CSV');
+});
+
+check('Jira com descrição em ADF e story points', () => {
+  const result = parse({
+    issues: [{
+      key: 'PLN-2',
+      fields: {
+        summary: 'Checkout',
+        customfield_10016: 8,
+        description: {
+          type: 'doc',
+          content: [
+            { type: 'heading', content: [{ type: 'text', text: 'Contexto' }] },
+            { type: 'paragraph', content: [{ type: 'text', text: 'Pagar com ' }, { type: 'text', text: 'Pix' }, { type: 'hardBreak' }, { type: 'text', text: 'e cartão' }] }
+          ]
+        }
+      }
+    }]
+  });
+
+  assert.strictEqual(result.format, 'jira');
+  assert.deepStrictEqual(inputs(result), [{ key: 'PLN-2', title: 'Checkout', description: 'Contexto\nPagar com Pix\ne cartão', estimate: 8 }]);
+});
+
+check('Jira com campo de estimativa escolhido', () => {
+  const issues = [{ key: 'PLN-3', fields: { summary: 'Busca', customfield_10016: 3, customfield_99999: 13 } }];
+  assert.strictEqual(inputs(parse({ issues }, { estimateField: 'customfield_99999' }))[0].estimate, 13);
+});
+
+check('GitHub ignora pull requests e lê a estimativa das labels', () => {
+  const result = parse([
+    { number: 12, title: 'Modo escuro', body: 'Tema', labels: [{ name: 'ui' }, { name: 'estimate: 5' }] },
+    { number: 13, title: 'Refatora CSS', pull_request: { url: 'https://example.test/pr/13' }, labels: [] },
+    { number: 14, title: 'Atalhos', labels: ['points/3'] }
+  ]);
+
+  assert.strictEqual(result.format, 'github');
+  assert.deepStrictEqual(result.rows.map(row => row.skip), [null, 'pull request ignorado', null]);
+  assert.deepStrictEqual(inputs(result).map(input => [input.key, input.estimate]), [['#12', '5'], ['#13', null], ['#14', '3']]);
+});
+
+check('GitHub com labels que não são uma lista recusa só aquela issue', () => {
+  const result = parse([
+    { number: 15, title: 'Busca', labels: 'estimate: 5' },
+    { number: 16, title: 'Filtros', labels: { name: 'estimate: 2' } },
+    { number: 17, title: 'Exportar', labels: null },
+    { number: 18, title: 'Importar' }
+  ]);
+
+  assert.deepStrictEqual(result.rows.map(row => row.skip), ['labels deve ser uma lista', 'labels deve ser uma lista', null, null]);
+  assert.deepStrictEqual(inputs(result).map(input => input.estimate), [null, null, null, null]);
+});
+
+check('Busca do GitHub ({ items }) e detecção pelo conteúdo', () => {
+  assert.strictEqual(parse({ items: [{ number: 1, title: 'A' }] }).format, 'github');
+  assert.strictEqual(parse({ issues: [{ key: 'X-1', fields: { summary: 'A' } }] }, { contentType: 'application/json' }).format, 'jira');
+});
+
+check('Formato inválido, JSON quebrado ou desconhecido', () => {
+  assert.ok(/format deve ser/.test(parse('title\nA', { format: 'xlsx' }).error));
+  assert.strictEqual(parse('{"issues": [', { format: 'jira' }).error, 'JSON inválido');
+  assert.ok(/Formato não reconhecido/.test(parse({ foo: 1 }).error));
+});
+
+console.log(colors.green('\nTodos os testes de importação passaram'));
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const colors = require('colors');
+const {
+  createBacklog,
+  validateStory,
+  addStories,
+  reorderStories,
+  removeStory,
+  setCurrentStory,
+  completeStory,
+  getCurrentStory,
+  serializeBacklog
+} = require('../lib/backlog');
+
+// Fila de histórias da sala, sem servidor
+function check(name, fn) {
+  fn();
+  console.log(colors.green(`  ✓ ${name}`));
+}
+
+function titles(backlog) {
+  return backlog.stories.map(story => story.title);
+}
+
+function backlogWith(...storyTitles) {
+  const backlog = createBacklog();
+  addStories(backlog, storyTitles.map(title => ({ key: null, title, description: null, estimate: null })), 1000);
+  return backlog;
+}
+
+console.log(colors.cyan('\nValidação'));
+
+check('Título obrigatório e campos opcionais normalizados', () => {
+  assert.deepStrictEqual(validateStory({ title: '  Login  ', key: ' PLN-1 ', description: '', estimate: 5 }), {
+    story: { key: 'PLN-1', title: 'Login', description: null, estimate: '5' },
+    errors: []
+  });
+  assert.deepStrictEqual(validateStory({ title: '   ' }).errors, ['title é obrigatório']);
+  assert.deepStrictEqual(validateStory(null).errors, ['title é obrigatório']);
+  assert.deepStrictEqual(validateStory({ title: 42 }).errors, ['title é obrigatório']);
+  assert.ok(/no máximo 200/.test(validateStory({ title: 'x'.repeat(201) }).errors[0]));
+});
+
+check('Campos longos são cortados', () => {
+  const { story } = validateStory({ title: 'A', key: 'k'.repeat(60), description: 'd'.repeat(3000), estimate: '9'.repeat(30) });
+  assert.strictEqual(story.key.length, 50);
+  assert.strictEqual(story.description.length, 2000);
+  assert.strictEqual(story.estimate.length, 20);
+});
+
+console.log(colors.cyan('\nFila'));
+
+check('Histórias entram pendentes e a primeira vira a atual', () => {
+  const backlog = backlogWith('A', 'B');
+  assert.deepStrictEqual(titles(backlog), ['A', 'B']);
+  assert.ok(backlog.stories.every(story => story.status === 'pending' && story.addedAt === 1000));
+  assert.strictEqual(getCurrentStory(backlog).title, 'A');
+
+  addStories(backlog, [{ title: 'C' }]);
+  assert.strictEqual(getCurrentStory(backlog).title, 'A');
+  assert.strictEqual(getCurrentStory(createBacklog()), null);
+});
+
+check('Reordenar exige exatamente as mesmas histórias', () => {
+  const backlog = backlogWith('A', 'B', 'C');
+  const [a, b, c] = backlog.stories.map(story => story.id);
+
+  assert.ok(reorderStories(backlog, [c, a, b]));
+  assert.deepStrictEqual(titles(backlog), ['C', 'A', 'B']);
+  assert.ok(!reorderStories(backlog, [a, b]));
+  assert.ok(!reorderStories(backlog, [a, a, b]));
+  assert.ok(!reorderStories(backlog, [a, b, 'outra']));
+  assert.ok(!reorderStories(backlog, 'a,b,c'));
+  assert.deepStrictEqual(titles(backlog), ['C', 'A', 'B']);
+});
+
+check('Estimar passa para a próxima pendente, voltando ao início da fila', () => {
+  const backlog = backlogWith('A', 'B', 'C');
+  const [a, b, c] = backlog.stories.map(story => story.id);
+
+  assert.ok(setCurrentStory(backlog, b));
+  assert.ok(completeStory(backlog, b, '5', 2000));
+  assert.strictEqual(getCurrentStory(backlog).title, 'C');
+  assert.deepStrictEqual([backlog.stories[1].status, backlog.stories[1].estimate], ['estimated', '5']);
+
+  completeStory(backlog, c, '8');
+  assert.strictEqual(getCurrentStory(backlog).title, 'A');
+  completeStory(backlog, a, null);
+  assert.strictEqual(backlog.currentId, null);
+  assert.ok(!completeStory(backlog, 'outra', '1'));
+  assert.ok(!setCurrentStory(backlog, 'outra'));
+});
+
+check('Estimar outra história não muda a atual; estimativa vazia mantém a importada', () => {
+  const backlog = createBacklog();
+  addStories(backlog, [{ title: 'A' }, { title: 'B', estimate: '3' }]);
+  const [a, b] = backlog.stories.map(story => story.id);
+
+  completeStory(backlog, b, null);
+  assert.strictEqual(backlog.currentId, a);
+  assert.strictEqual(backlog.stories[1].estimate, '3');
+});
+
+check('Remover a atual passa para a próxima pendente', () => {
+  const backlog = backlogWith('A', 'B', 'C');
+  const [a, b] = backlog.stories.map(story => story.id);
+
+  assert.ok(removeStory(backlog, a));
+  assert.strictEqual(getCurrentStory(backlog).title, 'B');
+  assert.ok(removeStory(backlog, b));
+  assert.strictEqual(getCurrentStory(backlog).title, 'C');
+  assert.ok(!removeStory(backlog, a));
+});
+
+check('Serialização com datas ISO', () => {
+  const backlog = backlogWith('A');
+  completeStory(backlog, backlog.stories[0].id, '2', 2000);
+  const [story] = serializeBacklog(backlog).stories;
+  assert.strictEqual(story.addedAt, new Date(1000).toISOString());
+  assert.strictEqual(story.estimatedAt, new Date(2000).toISOString());
+});
+
+console.log(colors.green('\nTodos os testes da fila de histórias passaram'));
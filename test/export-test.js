@@ -0,0 +1,134 @@
+const assert = require('assert');
+const colors = require('colors');
+const { parseDateRange, isInRange, sendExport } = require('../lib/export');
+const { toCsv, parseCsv } = require('../lib/csv');
+
+// Exportação do histórico em CSV e JSON, sem servidor
+function check(name, fn) {
+  fn();
+  console.log(colors.green(`  ✓ ${name}`));
+}
+
+// Resposta do Express só com o que sendExport usa
+function fakeResponse() {
+  return {
+    headers: {},
+    body: null,
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    send(body) {
+      this.body = body;
+    },
+    json(body) {
+      this.body = body;
+    }
+  };
+}
+
+function round(overrides) {
+  return {
+    room: 'ABC234',
+    sessionId: 'sessao-1',
+    story: 'Login',
+    startedAt: '2024-05-10T12:00:00.000Z',
+    finishedAt: '2024-05-10T12:05:00.000Z',
+    votes: [{ name: 'Ana', value: '3' }, { name: 'Bia', value: '5' }],
+    finalEstimate: '5',
+    ...overrides
+  };
+}
+
+function exportCsv(rounds) {
+  const res = fakeResponse();
+  sendExport(res, rounds, { format: 'csv', filename: 'historico' });
+  return res;
+}
+
+console.log(colors.cyan('\nEscape do CSV'));
+
+check('Vírgula, aspas e quebra de linha ficam entre aspas', () => {
+  const columns = [{ header: 'valor', value: row => row }];
+  assert.strictEqual(
+    toCsv(['simples', 'a,b', 'diz "oi"', 'linha 1\nlinha 2', null], columns),
+    'valor\r\nsimples\r\n"a,b"\r\n"diz ""oi"""\r\n"linha 1\nlinha 2"\r\n\r\n'
+  );
+});
+
+check('Texto que parece fórmula ganha um apóstrofo', () => {
+  const columns = [{ header: 'valor', value: row => row }];
+  const [, ...rows] = parseCsv(toCsv(['=SOMA(A1:A2)', '+1', '-1', '@cmd', '=HYPERLINK("x","y")'], columns));
+  assert.deepStrictEqual(rows.map(([value]) => value), ["'=SOMA(A1:A2)", "'+1", "'-1", "'@cmd", "'=HYPERLINK(\"x\",\"y\")"]);
+
+  // Números negativos continuam números
+  assert.strictEqual(toCsv([-1], columns), 'valor\r\n-1\r\n');
+});
+
+check('A leitura devolve os mesmos campos escritos', () => {
+  const values = ['a;b', 'diz "oi", e sai', 'várias\r\nlinhas', '☕', ''];
+  const columns = values.map((value, index) => ({ header: `c${index}`, value: () => value }));
+  assert.deepStrictEqual(parseCsv(toCsv([{}], columns))[1], values);
+});
+
+console.log(colors.cyan('\nExportação'));
+
+check('CSV com BOM, cabeçalho e uma linha por rodada', () => {
+  const res = exportCsv([round({ story: 'Login, "SSO" e\nlogout', votes: [{ name: 'Ana', value: '3' }, { name: 'Bia', value: '?' }] })]);
+
+  assert.strictEqual(res.headers['Content-Type'], 'text/csv; charset=utf-8');
+  assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="historico.csv"');
+  assert.ok(res.body.startsWith('\ufeff'));
+
+  const [header, row] = parseCsv(res.body);
+  assert.deepStrictEqual(header, [
+    'room', 'session_id', 'story', 'started_at', 'finished_at', 'votes', 'average', 'median',
+    'min', 'max', 'non_numeric', 'consensus', 'revotes', 'final_estimate'
+  ]);
+  const record = Object.fromEntries(header.map((column, index) => [column, row[index]]));
+  assert.strictEqual(record.story, 'Login, "SSO" e\nlogout');
+  assert.strictEqual(record.votes, 'Ana: 3; Bia: ?');
+  assert.strictEqual(record.average, '3');
+  assert.strictEqual(record.non_numeric, '? x1');
+  assert.strictEqual(record.revotes, '0');
+  assert.strictEqual(record.final_estimate, '5');
+});
+
+check('Nome do participante não injeta fórmula nem colunas', () => {
+  const res = exportCsv([round({ story: '=cmd|calc', votes: [{ name: '@Ana, "a"', value: '3' }] })]);
+  const [, row] = parseCsv(res.body);
+
+  assert.strictEqual(row.length, 14);
+  assert.strictEqual(row[2], "'=cmd|calc");
+  assert.strictEqual(row[5], `'@Ana, "a": 3`);
+});
+
+check('JSON traz os votos e as estatísticas', () => {
+  const res = fakeResponse();
+  sendExport(res, [round({ revotes: 2, stats: { consensus: false } })], { format: 'json', filename: 'historico' });
+
+  assert.strictEqual(res.headers['Content-Disposition'], 'attachment; filename="historico.json"');
+  const [record] = res.body.rounds;
+  assert.deepStrictEqual(record.votes, [{ name: 'Ana', value: '3' }, { name: 'Bia', value: '5' }]);
+  assert.strictEqual(record.average, 4);
+  assert.strictEqual(record.revotes, 2);
+  assert.strictEqual(record.consensus, false);
+});
+
+console.log(colors.cyan('\nPeríodo'));
+
+check('Data sem horário inclui o dia inteiro em `to`', () => {
+  const range = parseDateRange({ from: '2024-05-10', to: '2024-05-10' });
+  assert.strictEqual(range.error, null);
+  assert.ok(isInRange(round({ finishedAt: '2024-05-10T00:00:00.000Z' }), range));
+  assert.ok(isInRange(round({ finishedAt: '2024-05-10T23:59:59.999Z' }), range));
+  assert.ok(!isInRange(round({ finishedAt: '2024-05-11T00:00:00.000Z' }), range));
+  assert.ok(isInRange(round(), parseDateRange({})));
+});
+
+check('Datas inválidas ou invertidas', () => {
+  assert.strictEqual(parseDateRange({ from: 'ontem' }).error, 'from inválido');
+  assert.strictEqual(parseDateRange({ to: '2024-13-45' }).error, 'to inválido');
+  assert.strictEqual(parseDateRange({ from: '2024-05-11', to: '2024-05-10' }).error, 'from deve ser anterior a to');
+});
+
+console.log(colors.green('\nTodos os testes da exportação passaram'));
@@ -0,0 +1,87 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const colors = require('colors');
+const { createHyperLogLog } = require('../lib/hyperLogLog');
+
+// Margem de erro, união e restauração do HyperLogLog dos visitantes, sem servidor
+function check(name, fn) {
+  fn();
+  console.log(colors.green(`  ✓ ${name}`));
+}
+
+// Mesmo formato do contador de visitas: HMAC em hexadecimal
+function hash(item) {
+  return crypto.createHmac('sha256', 'sal-de-teste').update(String(item)).digest('hex');
+}
+
+function counterWith(from, to) {
+  const hll = createHyperLogLog();
+  for (let item = from; item < to; item++) {
+    hll.add(hash(item));
+  }
+  return hll;
+}
+
+function relativeError(estimate, actual) {
+  return Math.abs(estimate - actual) / actual;
+}
+
+console.log(colors.cyan('\nMargem de erro'));
+
+check('Poucos itens são contados quase exatamente', () => {
+  assert.strictEqual(createHyperLogLog().count(), 0);
+  assert.strictEqual(counterWith(0, 1).count(), 1);
+  assert.strictEqual(counterWith(0, 10).count(), 10);
+  assert.ok(Math.abs(counterWith(0, 100).count() - 100) <= 2);
+});
+
+check('Muitos itens ficam dentro de 5%', () => {
+  [1000, 10000, 100000].forEach(actual => {
+    const estimate = counterWith(0, actual).count();
+    assert.ok(relativeError(estimate, actual) < 0.05, `${estimate} para ${actual} itens`);
+  });
+});
+
+check('Item repetido não muda a contagem', () => {
+  const hll = counterWith(0, 500);
+  const before = hll.count();
+  for (let item = 0; item < 500; item++) {
+    assert.strictEqual(hll.add(hash(item)), false);
+  }
+  assert.strictEqual(hll.count(), before);
+});
+
+console.log(colors.cyan('\nUnião e restauração'));
+
+check('União conta os itens dos dois sem repetir os comuns', () => {
+  const first = counterWith(0, 6000);
+  const second = counterWith(4000, 10000);
+  first.merge(second);
+
+  // Igual a ter adicionado tudo no mesmo contador
+  assert.strictEqual(first.toString(), counterWith(0, 10000).toString());
+  assert.ok(relativeError(first.count(), 10000) < 0.05);
+  assert.ok(relativeError(second.count(), 6000) < 0.05, 'o outro contador foi alterado');
+});
+
+check('União aceita os registradores gravados e com contador vazio não muda nada', () => {
+  const hll = counterWith(0, 300);
+  const saved = hll.toString();
+
+  hll.merge(createHyperLogLog());
+  assert.strictEqual(hll.toString(), saved);
+
+  const empty = createHyperLogLog();
+  empty.merge(saved);
+  assert.strictEqual(empty.count(), hll.count());
+});
+
+check('toString restaura a mesma contagem', () => {
+  const hll = counterWith(0, 20000);
+  const restored = createHyperLogLog(hll.toString());
+  assert.strictEqual(restored.count(), hll.count());
+  assert.strictEqual(restored.add(hash(1)), false);
+  assert.strictEqual(Buffer.from(hll.toString(), 'base64').length, 4096);
+});
+
+console.log(colors.green('\nTodos os testes do HyperLogLog passaram'));
@@ -0,0 +1,190 @@
+const assert = require('assert');
+const colors = require('colors');
+const { createRateLimiter, createRequestClassifier, DEFAULT_BUDGETS } = require('../lib/rateLimiter');
+const { createRoomRegistry } = require('../lib/rooms');
+const { createRoomTokens } = require('../lib/roomAuth');
+
+// Token buckets, orçamentos e o tráfego de uma sessão de estimativa, sem servidor
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+const NAT_IP = '203.0.113.7';
+
+function check(name, fn) {
+  fn();
+  console.log(colors.green(`  ✓ ${name}`));
+}
+
+// Relógio controlado pelo teste
+let now = Date.now();
+Date.now = () => now;
+
+function request(method, path, { ip = NAT_IP, token } = {}) {
+  return {
+    method,
+    path,
+    ip,
+    get: name => (name === 'X-Room-Token' ? token : undefined)
+  };
+}
+
+// Passa a requisição pelo middleware e devolve o status (200 se seguiu adiante)
+function send(limiter, req) {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json() {
+      return this;
+    }
+  };
+  limiter.middleware(req, res, () => {});
+  return res;
+}
+
+function createLimiter(budgets, options = {}) {
+  return createRateLimiter({
+    budgets,
+    classify: options.classify || (() => 'api'),
+    identify: options.identify,
+    getClientIp: req => req.ip,
+    logger: silentLogger
+  });
+}
+
+console.log(colors.cyan('\nToken bucket'));
+
+check('Recusa quando acaba o orçamento, com Retry-After e cabeçalhos RateLimit', () => {
+  const limiter = createLimiter({ api: { max: 5, windowMs: 60 * 60 * 1000 } });
+  for (let i = 0; i < 5; i++) {
+    assert.strictEqual(send(limiter, request('GET', '/history')).statusCode, 200);
+  }
+
+  const res = send(limiter, request('GET', '/history'));
+  assert.strictEqual(res.statusCode, 429);
+  assert.strictEqual(res.headers['RateLimit-Policy'], '5;w=3600');
+  assert.strictEqual(res.headers['RateLimit-Remaining'], '0');
+  assert.strictEqual(res.headers['Retry-After'], '720'); // uma ficha a cada 12 minutos
+  assert.strictEqual(limiter.rejections.api, 1);
+});
+
+check('Fichas voltam aos poucos, sem passar do máximo', () => {
+  const limiter = createLimiter({ api: { max: 4, windowMs: 60 * 1000 } });
+  for (let i = 0; i < 4; i++) send(limiter, request('GET', '/history'));
+  assert.strictEqual(send(limiter, request('GET', '/history')).statusCode, 429);
+
+  now += 15 * 1000; // uma ficha
+  assert.strictEqual(send(limiter, request('GET', '/history')).statusCode, 200);
+  assert.strictEqual(send(limiter, request('GET', '/history')).statusCode, 429);
+
+  now += 10 * 60 * 1000;
+  assert.strictEqual(send(limiter, request('GET', '/history')).headers['RateLimit-Remaining'], '3');
+});
+
+check('Orçamentos e IPs não disputam as mesmas fichas', () => {
+  const limiter = createLimiter({
+    api: { max: 1, windowMs: 60 * 1000 },
+    status: { max: 1, windowMs: 60 * 1000 }
+  }, { classify: req => (req.path === '/status' ? 'status' : 'api') });
+
+  assert.strictEqual(send(limiter, request('GET', '/history')).statusCode, 200);
+  assert.strictEqual(send(limiter, request('GET', '/history')).statusCode, 429);
+  assert.strictEqual(send(limiter, request('GET', '/status')).statusCode, 200);
+  assert.strictEqual(send(limiter, request('GET', '/history', { ip: '198.51.100.1' })).statusCode, 200);
+});
+
+check('listLimited e reset', () => {
+  const limiter = createLimiter({ api: { max: 1, windowMs: 60 * 1000 } });
+  send(limiter, request('GET', '/history'));
+  assert.deepStrictEqual(limiter.listLimited().map(entry => [entry.ip, entry.budget]), [[NAT_IP, 'api']]);
+
+  assert.ok(limiter.reset(NAT_IP));
+  assert.ok(!limiter.reset(NAT_IP));
+  assert.deepStrictEqual(limiter.listLimited(), []);
+  assert.strictEqual(send(limiter, request('GET', '/history')).statusCode, 200);
+});
+
+console.log(colors.cyan('\nOrçamentos por rota'));
+
+const rooms = createRoomRegistry();
+const roomTokens = createRoomTokens({ secret: 'segredo-de-teste' });
+const classifier = createRequestClassifier({
+  getRoomMember: (code, token) => {
+    const room = rooms.getRoom(code);
+    const peerId = room ? roomTokens.verifyMemberToken(token, room) : null;
+    return peerId ? `${room.code}:${peerId}` : null;
+  },
+  getClientIp: req => req.ip
+});
+const deck = { id: 'fibonacci', name: 'Fibonacci', values: ['1', '2', '3', '5', '8'] };
+
+check('Classificação pelo caminho e pelo token da sala', () => {
+  const room = rooms.createRoom({ hostId: 'host', name: 'Ana', deck });
+  const token = roomTokens.createMemberToken(room, 'host');
+  const classify = req => classifier.classify(req);
+
+  assert.strictEqual(classify(request('GET', '/peerjs/peerjs/id')), 'signaling');
+  assert.strictEqual(classify(request('GET', '/health/ready')), 'status');
+  assert.strictEqual(classify(request('GET', '/api/admin/peers')), 'admin');
+  assert.strictEqual(classify(request('GET', '/app.js')), 'static');
+  assert.strictEqual(classify(request('POST', `/rooms/${room.code}/votes`, { token })), 'room');
+  assert.strictEqual(classifier.identify(request('POST', `/rooms/${room.code}/votes`, { token }), 'room'), `${room.code}:host`);
+  // Sem token válido continua no orçamento da API, por IP
+  assert.strictEqual(classify(request('POST', `/rooms/${room.code}/votes`)), 'api');
+  assert.strictEqual(classify(request('POST', `/rooms/${room.code}/votes`, { token: 'x.y' })), 'api');
+  assert.strictEqual(classify(request('POST', `/rooms/OUTRA1/votes`, { token })), 'api');
+  assert.strictEqual(classify(request('GET', `/rooms/${room.code}`, { token })), 'api');
+  assert.strictEqual(classify(request('GET', '/history')), 'api');
+});
+
+check('Sessão normal de um time atrás do mesmo NAT não é limitada', () => {
+  const limiter = createRateLimiter({
+    budgets: DEFAULT_BUDGETS,
+    classify: classifier.classify,
+    identify: classifier.identify,
+    getClientIp: req => req.ip,
+    logger: silentLogger
+  });
+  const statuses = [];
+  const call = (method, path, token) => statuses.push(send(limiter, request(method, path, { token })).statusCode);
+
+  // 12 pessoas entram pela API, todas com o mesmo IP
+  call('POST', '/rooms');
+  const room = rooms.createRoom({ hostId: 'peer-0', name: 'Host', deck });
+  const members = Array.from({ length: 12 }, (value, index) => `peer-${index}`);
+  members.slice(1).forEach(peerId => {
+    call('GET', `/rooms/${room.code}`);
+    call('POST', `/rooms/${room.code}/join`);
+    rooms.joinRoom(room.code, { peerId, name: peerId });
+  });
+  const tokens = members.map(peerId => roomTokens.createMemberToken(room, peerId));
+  const [hostToken] = tokens;
+
+  // 2 horas, uma história a cada 4 minutos; todos consultam a rodada a cada 10 s e
+  // trocam o voto uma vez; o host mexe na fila, no estado e nas fases da rodada
+  for (let story = 0; story < 30; story++) {
+    call('POST', `/rooms/${room.code}/backlog/s${story}/current`, hostToken);
+    call('POST', `/rooms/${room.code}/round/start`, hostToken);
+    for (let tick = 0; tick < 24; tick++) {
+      now += 10 * 1000;
+      tokens.forEach(token => call('GET', `/rooms/${room.code}/round`, token));
+      if (tick === 3 || tick === 6) {
+        tokens.forEach(token => call('POST', `/rooms/${room.code}/votes`, token));
+      }
+      if (tick % 6 === 0) call('POST', `/rooms/${room.code}/state`, hostToken);
+    }
+    call('POST', `/rooms/${room.code}/round/reveal`, hostToken);
+    call('POST', `/rooms/${room.code}/round/finalize`, hostToken);
+    call('GET', `/rooms/${room.code}/peers`, hostToken);
+  }
+
+  assert.ok(statuses.length > 9000);
+  assert.strictEqual(statuses.filter(status => status !== 200).length, 0);
+  assert.deepStrictEqual(limiter.rejections, {});
+});
+
+console.log(colors.green('\nTodos os testes de rate limit passaram'));
@@ -0,0 +1,159 @@
+const assert = require('assert');
+const colors = require('colors');
+const {
+  validatePassword,
+  hashPassword,
+  verifyPassword,
+  createRoomTokens,
+  createFailedAttemptLimiter
+} = require('../lib/roomAuth');
+
+// Senhas, convites e tokens de membro das salas protegidas, sem servidor
+const room = { code: 'ABC234', sessionId: 'sessao-1' };
+
+function check(name, fn) {
+  return Promise.resolve(fn()).then(() => console.log(colors.green(`  ✓ ${name}`)));
+}
+
+// Troca um caractere do trecho, mantendo o base64url válido
+function flip(text, index) {
+  return text.slice(0, index) + (text[index] === 'A' ? 'B' : 'A') + text.slice(index + 1);
+}
+
+// Executa fn com o relógio adiantado em offsetMs
+function withClockAhead(offsetMs, fn) {
+  const realNow = Date.now;
+  const base = realNow();
+  Date.now = () => base + offsetMs;
+  try {
+    return fn();
+  } finally {
+    Date.now = realNow;
+  }
+}
+
+async function main() {
+  console.log(colors.cyan('\nSenhas'));
+
+  await check('Tamanho mínimo e máximo', () => {
+    assert.ok(validatePassword('abc'));
+    assert.ok(validatePassword('x'.repeat(129)));
+    assert.ok(validatePassword(1234));
+    assert.strictEqual(validatePassword('segredo'), null);
+  });
+
+  await check('Hash scrypt confere só com a senha certa', async () => {
+    const stored = await hashPassword('segredo');
+    assert.ok(stored.startsWith('scrypt$'));
+    assert.ok(!stored.includes('segredo'));
+    assert.ok(await verifyPassword('segredo', stored));
+    assert.ok(!(await verifyPassword('Segredo', stored)));
+    assert.ok(!(await verifyPassword(undefined, stored)));
+    assert.ok(!(await verifyPassword('segredo', null)));
+    assert.ok(!(await verifyPassword('segredo', stored.replace('scrypt$', 'md5$'))));
+  });
+
+  console.log(colors.cyan('\nTokens assinados'));
+  const tokens = createRoomTokens({ secret: 'segredo-de-teste' });
+
+  await check('Token de membro devolve o peerId do portador', () => {
+    const token = tokens.createMemberToken(room, 'peer-1');
+    assert.strictEqual(tokens.verifyMemberToken(token, room), 'peer-1');
+  });
+
+  await check('Token adulterado é recusado', () => {
+    const token = tokens.createMemberToken(room, 'peer-1');
+    const [data, signature] = token.split('.');
+
+    // Outro peerId com a assinatura original
+    const claims = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+    const forged = Buffer.from(JSON.stringify({ ...claims, peer: 'peer-2' })).toString('base64url');
+    assert.strictEqual(tokens.verifyMemberToken(`${forged}.${signature}`, room), null);
+
+    assert.strictEqual(tokens.verifyMemberToken(`${flip(data, 5)}.${signature}`, room), null);
+    assert.strictEqual(tokens.verifyMemberToken(`${data}.${flip(signature, 5)}`, room), null);
+    assert.strictEqual(tokens.verifyMemberToken(`${data}.`, room), null);
+    assert.strictEqual(tokens.verifyMemberToken(data, room), null);
+    assert.strictEqual(tokens.verifyMemberToken(undefined, room), null);
+  });
+
+  await check('Token de membro dá a sessão do histórico mesmo depois que a sala fecha', () => {
+    const token = tokens.createMemberToken(room, 'peer-1');
+    assert.strictEqual(tokens.memberTokenSession(token, room.code), 'sessao-1');
+    assert.strictEqual(tokens.memberTokenSession(token, 'XYZ789'), null);
+    assert.strictEqual(tokens.memberTokenSession(tokens.createInvite(room).token, room.code), null);
+    assert.strictEqual(tokens.memberTokenSession(`${token}x`, room.code), null);
+    assert.strictEqual(tokens.memberTokenSession(undefined, room.code), null);
+  });
+
+  await check('Token assinado com outro segredo é recusado', () => {
+    const other = createRoomTokens({ secret: 'outro-segredo' });
+    assert.strictEqual(tokens.verifyMemberToken(other.createMemberToken(room, 'peer-1'), room), null);
+  });
+
+  await check('Token de outra sessão ou sala é recusado', () => {
+    const token = tokens.createMemberToken(room, 'peer-1');
+    assert.strictEqual(tokens.verifyMemberToken(token, { ...room, sessionId: 'sessao-2' }), null);
+    assert.strictEqual(tokens.verifyMemberToken(token, { ...room, code: 'XYZ789' }), null);
+
+    const invite = tokens.createInvite(room).token;
+    assert.ok(!tokens.verifyInvite(invite, { ...room, sessionId: 'sessao-2' }));
+  });
+
+  await check('Convite e token de membro não são intercambiáveis', () => {
+    const invite = tokens.createInvite(room).token;
+    assert.ok(tokens.verifyInvite(invite, room));
+    assert.strictEqual(tokens.verifyMemberToken(invite, room), null);
+    assert.ok(!tokens.verifyInvite(tokens.createMemberToken(room, 'peer-1'), room));
+  });
+
+  await check('Convite expira depois do prazo', () => {
+    const { token, expiresAt } = tokens.createInvite(room, 120);
+    assert.ok(Math.abs(new Date(expiresAt).getTime() - Date.now() - 120 * 1000) < 1000);
+
+    assert.ok(withClockAhead(119 * 1000, () => tokens.verifyInvite(token, room)));
+    assert.ok(!withClockAhead(121 * 1000, () => tokens.verifyInvite(token, room)));
+  });
+
+  await check('Prazo do convite fica entre 1 minuto e 7 dias', () => {
+    const short = new Date(tokens.createInvite(room, 1).expiresAt).getTime() - Date.now();
+    const long = new Date(tokens.createInvite(room, 365 * 24 * 60 * 60).expiresAt).getTime() - Date.now();
+    assert.ok(short > 59 * 1000 && short <= 60 * 1000);
+    assert.ok(long > 7 * 24 * 60 * 60 * 1000 - 1000 && long <= 7 * 24 * 60 * 60 * 1000);
+  });
+
+  console.log(colors.cyan('\nBloqueio por tentativas inválidas'));
+
+  await check('Bloqueia depois de N falhas e libera ao fim da janela', () => {
+    const limiter = createFailedAttemptLimiter({ maxAttempts: 3, windowMs: 60 * 1000 });
+    const key = '10.0.0.1:ABC234';
+
+    assert.strictEqual(limiter.retryAfter(key), 0);
+    assert.strictEqual(limiter.recordFailure(key), 1);
+    assert.strictEqual(limiter.recordFailure(key), 2);
+    assert.strictEqual(limiter.retryAfter(key), 0);
+    assert.strictEqual(limiter.recordFailure(key), 3);
+
+    const retryAfter = limiter.retryAfter(key);
+    assert.ok(retryAfter > 0 && retryAfter <= 60);
+    assert.strictEqual(limiter.retryAfter('10.0.0.2:ABC234'), 0, 'outro IP foi bloqueado');
+    assert.strictEqual(withClockAhead(61 * 1000, () => limiter.retryAfter(key)), 0);
+  });
+
+  await check('Acerto zera as falhas', () => {
+    const limiter = createFailedAttemptLimiter({ maxAttempts: 2, windowMs: 60 * 1000 });
+    const key = '10.0.0.1:ABC234';
+
+    limiter.recordFailure(key);
+    limiter.reset(key);
+    assert.strictEqual(limiter.recordFailure(key), 1);
+    assert.strictEqual(limiter.retryAfter(key), 0);
+  });
+
+  console.log(colors.green('\nTodos os testes de acesso às salas passaram'));
+}
+
+main().catch(err => {
+  console.error(colors.red(err.stack));
+  process.exit(1);
+});
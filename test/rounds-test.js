@@ -0,0 +1,120 @@
+const assert = require('assert');
+const colors = require('colors');
+const {
+  isRoundAction,
+  createRound,
+  canTransition,
+  applyTransition,
+  roundKey,
+  serializeRound
+} = require('../lib/rounds');
+
+// Ciclo de vida da rodada e o que cada participante vê dela, sem servidor
+function check(name, fn) {
+  fn();
+  console.log(colors.green(`  ✓ ${name}`));
+}
+
+function allowedActions(round) {
+  return ['start', 'reveal', 'revote', 'finalize'].filter(action => canTransition(round, action));
+}
+
+console.log(colors.cyan('\nTransições'));
+
+check('Ações permitidas em cada fase', () => {
+  const round = createRound();
+  assert.deepStrictEqual(allowedActions(round), ['start']);
+  assert.deepStrictEqual(allowedActions({ ...round, phase: 'voting' }), ['reveal']);
+  assert.deepStrictEqual(allowedActions({ ...round, phase: 'revealed' }), ['revote', 'finalize']);
+  assert.deepStrictEqual(allowedActions({ ...round, phase: 'finalized' }), ['start']);
+});
+
+check('Nomes herdados de Object não são ações', () => {
+  ['constructor', 'toString', '__proto__', 'hasOwnProperty', 'valueOf'].forEach(action => {
+    assert.ok(!isRoundAction(action), action);
+    assert.ok(!canTransition(createRound(), action), action);
+  });
+  assert.ok(isRoundAction('start'));
+});
+
+check('Rodada completa com re-votação', () => {
+  let round = applyTransition(createRound(), 'start', { story: '  Login com SSO  ', storyId: 's1' }, 1000);
+  assert.strictEqual(round.phase, 'voting');
+  assert.strictEqual(round.story, 'Login com SSO');
+  assert.strictEqual(round.storyId, 's1');
+  assert.strictEqual(round.startedAt, 1000);
+  assert.ok(round.id);
+
+  round.votes.push({ peerId: 'p1', value: '3' });
+  const stats = { consensus: 100 };
+  round = applyTransition(round, 'reveal', { stats }, 2000);
+  assert.strictEqual(round.revealedAt, 2000);
+  assert.strictEqual(round.stats, stats);
+
+  const keyBefore = roundKey(round);
+  round = applyTransition(round, 'revote', {}, 3000);
+  assert.strictEqual(round.phase, 'voting');
+  assert.strictEqual(round.revotes, 1);
+  assert.deepStrictEqual(round.votes, []);
+  assert.strictEqual(round.revealedAt, null);
+  assert.strictEqual(round.stats, null);
+  assert.notStrictEqual(roundKey(round), keyBefore);
+
+  round = applyTransition(round, 'reveal', {}, 4000);
+  round = applyTransition(round, 'revote', {}, 5000);
+  round = applyTransition(round, 'reveal', {}, 6000);
+  round = applyTransition(round, 'finalize', { finalEstimate: ' 5 ' }, 7000);
+  assert.strictEqual(round.phase, 'finalized');
+  assert.strictEqual(round.revotes, 2);
+  assert.strictEqual(round.finalEstimate, '5');
+  assert.strictEqual(round.finalizedAt, 7000);
+  assert.deepStrictEqual(round.transitions.map(transition => transition.action),
+    ['start', 'reveal', 'revote', 'reveal', 'revote', 'reveal', 'finalize']);
+});
+
+check('Nova rodada zera votos, re-votações e história', () => {
+  let round = applyTransition(createRound(), 'start', { story: 'A' }, 1000);
+  round.votes.push({ peerId: 'p1', value: '3' });
+  round = applyTransition(applyTransition(round, 'reveal', {}, 2000), 'revote', {}, 3000);
+  const previous = round;
+
+  round = applyTransition(applyTransition(round, 'reveal', {}, 4000), 'finalize', {}, 5000);
+  round = applyTransition(round, 'start', {}, 6000);
+  assert.notStrictEqual(round.id, previous.id);
+  assert.strictEqual(round.revotes, 0);
+  assert.strictEqual(round.story, null);
+  assert.deepStrictEqual(round.votes, []);
+  assert.deepStrictEqual(round.transitions.map(transition => transition.action), ['start']);
+});
+
+check('História e estimativa final são cortadas no limite', () => {
+  const round = applyTransition(createRound(), 'start', { story: 'x'.repeat(300) }, 1000);
+  assert.strictEqual(round.story.length, 200);
+  applyTransition(applyTransition(round, 'reveal', {}, 2000), 'finalize', { finalEstimate: '1'.repeat(30) }, 3000);
+  assert.strictEqual(round.finalEstimate.length, 20);
+});
+
+console.log(colors.cyan('\nVotos ocultos'));
+
+check('Antes da revelação cada um vê só o próprio voto', () => {
+  const round = applyTransition(createRound(), 'start', { story: 'A' }, 1000);
+  round.votes.push({ peerId: 'p1', value: '3' }, { peerId: 'p2', value: '8' });
+  const room = { round, participants: new Map([['p1', { name: 'Ana' }], ['p2', { name: 'Bruno' }]]) };
+
+  const view = serializeRound(room, 'p1');
+  assert.deepStrictEqual(view.voters, ['p1', 'p2']);
+  assert.strictEqual(view.myVote, '3');
+  assert.strictEqual(view.votes, undefined);
+  assert.strictEqual(view.stats, undefined);
+  assert.strictEqual(serializeRound(room, 'p3').myVote, null);
+
+  applyTransition(round, 'reveal', { stats: { consensus: 50 } }, 2000);
+  assert.deepStrictEqual(serializeRound(room, 'p1').votes, [
+    { peerId: 'p1', name: 'Ana', value: '3' },
+    { peerId: 'p2', name: 'Bruno', value: '8' }
+  ]);
+  assert.deepStrictEqual(serializeRound(room, 'p1').stats, { consensus: 50 });
+  assert.strictEqual(serializeRound(room, 'p1').revealedAt, new Date(2000).toISOString());
+});
+
+console.log(colors.green('\nTodos os testes de rodadas passaram'));
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const colors = require('colors');
+const { summarizeVotes, analyzeVotes } = require('../lib/stats');
+const { CARD_VALUES } = require('../lib/cards');
+
+// Estatísticas da revelação nos baralhos numérico e de camiseta, sem servidor
+const T_SHIRT = ['XS', 'S', 'M', 'L', 'XL', 'XXL', '?', '☕'];
+
+function check(name, fn) {
+  fn();
+  console.log(colors.green(`  ✓ ${name}`));
+}
+
+function votes(...values) {
+  return values.map((value, index) => ({ peerId: `peer-${index}`, name: `Pessoa ${index}`, value }));
+}
+
+console.log(colors.cyan('\nResumo numérico'));
+
+check('Média, mediana, mínimo e máximo só com as cartas numéricas', () => {
+  assert.deepStrictEqual(summarizeVotes(votes('3', '5', '8', '?', 'XP')), {
+    totalVotes: 5,
+    numericVotes: 3,
+    nonNumeric: { '?': 1, XP: 1 },
+    average: 5.33,
+    median: 5,
+    min: 3,
+    max: 8
+  });
+  assert.strictEqual(summarizeVotes(votes('1', '2', '3', '5')).median, 2.5);
+  assert.strictEqual(summarizeVotes(votes('½', '1')).average, 0.75);
+});
+
+check('Sem votos numéricos', () => {
+  const summary = summarizeVotes(votes('?', '☕'));
+  assert.strictEqual(summary.average, null);
+  assert.strictEqual(summary.median, null);
+  assert.strictEqual(summary.min, null);
+});
+
+console.log(colors.cyan('\nBaralho numérico'));
+
+check('Moda, distância e consenso', () => {
+  const stats = analyzeVotes(votes('3', '5', '5', '5', '13'), CARD_VALUES);
+  assert.deepStrictEqual(stats.mode, ['5']);
+  // 3 → 13 passa por 5, 8 e 13 no baralho
+  assert.deepStrictEqual(stats.spread, { min: '3', max: '13', steps: 3 });
+  assert.strictEqual(stats.consensus, 60);
+  assert.deepStrictEqual(stats.highest, { value: '13', voters: [{ peerId: 'peer-4', name: 'Pessoa 4' }] });
+  assert.deepStrictEqual(stats.lowest.voters.map(voter => voter.peerId), ['peer-0']);
+});
+
+check('Empate na moda segue a ordem do baralho', () => {
+  const stats = analyzeVotes(votes('8', '3', '8', '3'), CARD_VALUES);
+  assert.deepStrictEqual(stats.mode, ['3', '8']);
+  assert.strictEqual(stats.consensus, 50);
+});
+
+check('Consenso total não aponta extremos', () => {
+  const stats = analyzeVotes(votes('5', '5', '5'), CARD_VALUES);
+  assert.strictEqual(stats.consensus, 100);
+  assert.deepStrictEqual(stats.spread, { min: '5', max: '5', steps: 0 });
+  assert.strictEqual(stats.highest, null);
+  assert.strictEqual(stats.lowest, null);
+});
+
+check('XP, ? e ☕ ficam fora da escala; só ? e ☕ são abstenções', () => {
+  const stats = analyzeVotes(votes('2', 'XP', '?', '☕', '2'), CARD_VALUES);
+  assert.deepStrictEqual(stats.mode, ['2']);
+  assert.strictEqual(stats.consensus, 100);
+  assert.strictEqual(stats.abstentions, 2);
+  assert.deepStrictEqual(stats.nonNumeric, { XP: 1, '?': 1, '☕': 1 });
+});
+
+check('Só abstenções', () => {
+  const stats = analyzeVotes(votes('?', '☕'), CARD_VALUES);
+  assert.deepStrictEqual(stats.mode, []);
+  assert.strictEqual(stats.spread, null);
+  assert.strictEqual(stats.consensus, null);
+  assert.strictEqual(stats.abstentions, 2);
+});
+
+console.log(colors.cyan('\nBaralho de camiseta'));
+
+check('Escala pela ordem das cartas', () => {
+  const stats = analyzeVotes(votes('S', 'M', 'M', 'XL', '?'), T_SHIRT);
+  assert.deepStrictEqual(stats.mode, ['M']);
+  assert.deepStrictEqual(stats.spread, { min: 'S', max: 'XL', steps: 3 });
+  assert.strictEqual(stats.consensus, 50);
+  assert.strictEqual(stats.abstentions, 1);
+  assert.strictEqual(stats.average, null);
+  assert.strictEqual(stats.highest.value, 'XL');
+});
+
+check('Baralho misto usa só as cartas numéricas na escala', () => {
+  const stats = analyzeVotes(votes('1', '3', 'M'), ['1', '2', '3', 'M']);
+  assert.deepStrictEqual(stats.spread, { min: '1', max: '3', steps: 2 });
+  assert.strictEqual(stats.consensus, 50);
+});
+
+console.log(colors.green('\nTodos os testes de estatísticas passaram'));
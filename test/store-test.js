@@ -0,0 +1,187 @@
+const assert = require('assert');
+const colors = require('colors');
+const RedisMock = require('ioredis-mock');
+const { createRoomRegistry, pickNextHost } = require('../lib/rooms');
+const { createCluster } = require('../lib/cluster');
+const { createMemoryStore, createRedisStore } = require('../lib/store');
+
+// Instâncias do servidor compartilhando o mesmo armazenamento, sem rede:
+// o adaptador em memória e o adaptador Redis contra o ioredis-mock
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+async function eventually(check, timeoutMs = 1000) {
+  const startedAt = Date.now();
+  for (;;) {
+    try {
+      return check();
+    } catch (err) {
+      if (Date.now() - startedAt > timeoutMs) throw err;
+      await wait(10);
+    }
+  }
+}
+
+function createInstance(store, instanceId, options = {}) {
+  const rooms = createRoomRegistry();
+  const cluster = createCluster({ store, instanceId, rooms, logger: silentLogger, ...options });
+  const received = [];
+  cluster.onSignal((peerId, message) => received.push({ peerId, message }));
+  return { rooms, cluster, received };
+}
+
+async function runScenario(name, createSharedStore) {
+  console.log(colors.cyan(`\n${name}`));
+
+  const storeA = createSharedStore();
+  const storeB = createSharedStore();
+  const a = createInstance(storeA, 'instancia-a');
+  await a.cluster.start();
+
+  // Sala criada antes da segunda instância subir: carregada do armazenamento
+  const room = a.rooms.createRoom({ hostId: 'host-1', name: 'Ana', deck: { id: 'fibonacci', name: 'Fibonacci', values: ['1', '2', '3'] } });
+  await wait(20);
+
+  const b = createInstance(storeB, 'instancia-b');
+  await b.cluster.start();
+  assert.ok(b.rooms.getRoom(room.code), 'sala existente não foi carregada');
+  console.log(colors.green('  ✓ Nova instância carrega as salas existentes'));
+
+  // Alterações nas duas direções
+  b.rooms.joinRoom(room.code, { peerId: 'peer-2', name: 'Bruno' });
+  await eventually(() => assert.ok(a.rooms.getRoom(room.code).participants.has('peer-2')));
+  a.rooms.setState(room.code, { revealed: true });
+  await eventually(() => assert.deepStrictEqual(b.rooms.getRoom(room.code).state, { revealed: true }));
+  assert.strictEqual(b.rooms.getRoomByPeer('peer-2').code, room.code);
+  console.log(colors.green('  ✓ Entradas e estado da sala são replicados'));
+
+  // Votos e alterações da sala feitos ao mesmo tempo nas duas instâncias
+  a.rooms.transitionRound(room.code, 'start');
+  await eventually(() => assert.strictEqual(b.rooms.getRoom(room.code).round.phase, 'voting'));
+  a.rooms.castVote(room.code, 'host-1', '2');
+  b.rooms.castVote(room.code, 'peer-2', '3');
+  a.rooms.setState(room.code, { from: 'a' });
+  b.rooms.setState(room.code, { from: 'b' });
+
+  const votesOf = instance => instance.rooms.getRoom(room.code).round.votes
+    .map(vote => `${vote.peerId}:${vote.value}`)
+    .sort();
+  await eventually(() => {
+    assert.deepStrictEqual(votesOf(a), ['host-1:2', 'peer-2:3']);
+    assert.deepStrictEqual(votesOf(b), ['host-1:2', 'peer-2:3']);
+    assert.deepStrictEqual(a.rooms.getRoom(room.code).state, b.rooms.getRoom(room.code).state);
+  });
+  await wait(20);
+
+  const storeC = createSharedStore();
+  const c = createInstance(storeC, 'instancia-c');
+  await c.cluster.start();
+  assert.deepStrictEqual(votesOf(c), ['host-1:2', 'peer-2:3']);
+  assert.deepStrictEqual(c.rooms.getRoom(room.code).state, a.rooms.getRoom(room.code).state);
+  assert.deepStrictEqual([...c.rooms.getRoom(room.code).participants.keys()].sort(), ['host-1', 'peer-2']);
+  await c.cluster.stop();
+  console.log(colors.green('  ✓ Votos e alterações simultâneas convergem nas instâncias e no armazenamento'));
+
+  // Diretório de peers e posse pelo token da sinalização
+  a.cluster.peerConnected('host-1', { token: 'token-host', connectedAt: 1000 });
+  b.cluster.peerConnected('peer-2', { token: 'token-peer', connectedAt: 2000 });
+  await eventually(() => assert.ok(b.cluster.remotePeer('host-1')));
+  await eventually(() => assert.ok(a.cluster.remotePeer('peer-2')));
+  assert.strictEqual(a.cluster.remotePeer('host-1'), null, 'peer local aparece como remoto');
+  assert.ok(b.cluster.isRemotePeerOwner('host-1', 'token-host'));
+  assert.ok(!b.cluster.isRemotePeerOwner('host-1', 'outro-token'));
+  assert.strictEqual(b.cluster.remotePeer('host-1').connectedAt, 1000);
+  console.log(colors.green('  ✓ Diretório de peers e posse do peerId'));
+
+  // Sinalização encaminhada para a instância dona do socket
+  const offer = { type: 'OFFER', src: 'peer-2', dst: 'host-1', payload: { sdp: 'x' } };
+  assert.ok(b.cluster.sendToRemotePeer('host-1', offer));
+  assert.ok(!b.cluster.sendToRemotePeer('desconhecido', offer));
+  await eventually(() => assert.deepStrictEqual(a.received, [{ peerId: 'host-1', message: offer }]));
+  assert.strictEqual(b.received.length, 0);
+  console.log(colors.green('  ✓ Mensagens de sinalização chegam à instância do peer'));
+
+  // Saída de peer, encerramento de sala e de instância
+  b.cluster.peerDisconnected('peer-2');
+  await eventually(() => assert.strictEqual(a.cluster.remotePeer('peer-2'), null));
+  a.rooms.closeRoom(room.code);
+  await eventually(() => assert.strictEqual(b.rooms.getRoom(room.code), null));
+  assert.strictEqual(b.rooms.getRoomByPeer('peer-2'), null);
+  await a.cluster.stop();
+  await eventually(() => assert.strictEqual(b.cluster.remotePeer('host-1'), null));
+  assert.strictEqual(b.cluster.instanceCount, 1);
+  console.log(colors.green('  ✓ Saídas e encerramentos são propagados'));
+
+  await b.cluster.stop();
+  await Promise.all([storeA.close(), storeB.close(), storeC.close()]);
+}
+
+// Instância que cai sem encerrar: as outras param de receber o heartbeat dela
+async function runCrashScenario(name, createSharedStore) {
+  console.log(colors.cyan(`\n${name}: instância que cai`));
+
+  const stores = [createSharedStore(), createSharedStore(), createSharedStore()];
+  // `a` só manda heartbeat ao subir; `b` e `c` verificam a cada 20 ms
+  const timing = { heartbeatInterval: 20, instanceTimeout: 150 };
+  const a = createInstance(stores[0], 'instancia-a', { heartbeatInterval: 60 * 1000 });
+  const b = createInstance(stores[1], 'instancia-b', timing);
+  const c = createInstance(stores[2], 'instancia-c', timing);
+  const gone = { b: [], c: [] };
+
+  // Mesmo papel do departRoom do server.js: sai da sala e, se era o host, migra
+  [['b', b], ['c', c]].forEach(([id, instance]) => {
+    instance.cluster.onPeersGone(peerIds => {
+      gone[id].push(...peerIds);
+      peerIds.forEach(peerId => {
+        const room = instance.rooms.getRoomByPeer(peerId);
+        const newHostId = room.hostId === peerId && pickNextHost(room, other => (other === 'peer-2' ? 2000 : undefined));
+        instance.rooms.leaveRoom(room.code, peerId);
+        if (newHostId) instance.rooms.setHost(room.code, newHostId);
+      });
+    });
+  });
+
+  await a.cluster.start();
+  await b.cluster.start();
+  await c.cluster.start();
+
+  const room = a.rooms.createRoom({ hostId: 'host-1', name: 'Ana', deck: { id: 'fibonacci', name: 'Fibonacci', values: ['1', '2', '3'] } });
+  a.cluster.peerConnected('host-1', { token: 'token-host', connectedAt: 1000 });
+  await eventually(() => assert.ok(b.rooms.getRoom(room.code)));
+  b.rooms.joinRoom(room.code, { peerId: 'peer-2', name: 'Bruno' });
+  b.cluster.peerConnected('peer-2', { token: 'token-peer', connectedAt: 2000 });
+  await eventually(() => assert.ok(c.cluster.remotePeer('host-1') && c.cluster.remotePeer('peer-2')));
+
+  await eventually(() => {
+    assert.strictEqual(c.cluster.remotePeer('host-1'), null);
+    assert.strictEqual(c.rooms.getRoom(room.code).hostId, 'peer-2');
+    assert.deepStrictEqual([...c.rooms.getRoom(room.code).participants.keys()], ['peer-2']);
+  });
+  assert.deepStrictEqual(gone, { b: ['host-1'], c: [] }, 'a limpeza não foi feita só pela instância de menor id');
+  assert.strictEqual(b.rooms.getRoomByPeer('host-1'), null);
+  assert.ok(c.cluster.remotePeer('peer-2'), 'peer de instância viva saiu do diretório');
+  assert.strictEqual(c.cluster.instanceCount, 2);
+  assert.deepStrictEqual(Object.keys(await stores[1].hgetall('peers')), ['peer-2']);
+  console.log(colors.green('  ✓ Peers da instância sem heartbeat saem do diretório e das salas, com migração de host'));
+
+  await Promise.all([b.cluster.stop(), c.cluster.stop()]);
+  await Promise.all(stores.map(store => store.close()));
+}
+
+async function main() {
+  const memory = createMemoryStore();
+  await runScenario('Armazenamento em memória', () => memory);
+  const crashMemory = createMemoryStore();
+  await runCrashScenario('Armazenamento em memória', () => crashMemory);
+
+  await runScenario('Adaptador Redis (ioredis-mock)', () => createRedisStore({ client: new RedisMock(), prefix: 'planin-test:' }));
+  await runCrashScenario('Adaptador Redis (ioredis-mock)', () => createRedisStore({ client: new RedisMock(), prefix: 'planin-crash:' }));
+
+  console.log(colors.green('\nTodos os testes do armazenamento passaram'));
+}
+
+main().catch(err => {
+  console.error(colors.red(err.stack));
+  process.exit(1);
+});